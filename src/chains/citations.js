@@ -0,0 +1,84 @@
+// [1], [1][3] and [1, 3] cite sources by their 1-based position
+const MARKER_PATTERN = /\[(\d+(?:\s*,\s*\d+)*)\]/g
+// Brackets inside code (array[0]) are not citations
+const CODE_PATTERN = /```[\s\S]*?```|`[^`\n]*`/g
+
+// Where a chunk comes from: chunk ID (stable across re-ingests), file,
+// enclosing headings, PDF page and line range (within the page for PDFs)
+export function describeSource(document) {
+  const { source = null, headingPath = [], loc } = document.metadata || {}
+  return {
+    id: document.id ?? null,
+    source,
+    headingPath,
+    page: loc?.pageNumber ?? null,
+    lines: loc?.lines || null
+  }
+}
+
+// Numbers the chunks for the prompt so the model can cite them; `lines`
+// names the line range in the prompt's language
+export function formatContext(
+  documents,
+  { lines: linesLabel = 'linhas', page: pageLabel = 'página' } = {}
+) {
+  return documents
+    .map((document, index) => {
+      const { source, headingPath, page, lines } = describeSource(document)
+      const location = [
+        source,
+        headingPath.join(' > '),
+        page && `${pageLabel} ${page}`,
+        lines && `${linesLabel} ${lines.from}-${lines.to}`
+      ]
+        .filter(Boolean)
+        .join(' | ')
+      return `[${index + 1}] ${location}\n${document.pageContent}`
+    })
+    .join('\n\n')
+}
+
+/**
+ * Finds the citation markers in an answer. Returns the cited sources in
+ * order of first citation, `{ index, id, source, headingPath, page,
+ * lines }`, and the numbers that match no retrieved chunk.
+ */
+export function extractCitations(answer, documents) {
+  const cited = []
+  const invalid = []
+  const text = (answer || '').replace(CODE_PATTERN, '')
+
+  for (const [, list] of text.matchAll(MARKER_PATTERN)) {
+    for (const index of list.split(',').map(Number)) {
+      const valid = index >= 1 && index <= documents.length
+      const seen = valid ? cited : invalid
+      if (!seen.includes(index)) seen.push(index)
+    }
+  }
+
+  if (invalid.length > 0) {
+    console.log(
+      `Answer cites sources that were not retrieved: ${invalid.join(', ')}`
+    )
+  }
+  return {
+    citations: cited.map(index => ({
+      index,
+      ...describeSource(documents[index - 1])
+    })),
+    invalidCitations: invalid
+  }
+}
+
+// Pairs each retrieved chunk with its citation number; `citedOnly` drops
+// the ones the answer does not cite
+export function numberSources(documents, citations, citedOnly = false) {
+  const cited = new Set(citations.map(citation => citation.index))
+  return documents
+    .map((document, position) => ({
+      index: position + 1,
+      document,
+      cited: cited.has(position + 1)
+    }))
+    .filter(source => !citedOnly || source.cited)
+}
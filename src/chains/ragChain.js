@@ -1,15 +1,67 @@
-import { createRetrievalChain } from 'langchain/chains/retrieval'
-import { createStuffDocumentsChain } from 'langchain/chains/combine_documents'
 import { ChatPromptTemplate } from '@langchain/core/prompts'
-import { RunnableWithMessageHistory } from '@langchain/core/runnables'
-import { ChatMessageHistory } from 'langchain/stores/message/in_memory'
-import SYSTEM_PROMPT from './systemPrompt.js'
+import { StringOutputParser } from '@langchain/core/output_parsers'
+import {
+  RunnableLambda,
+  RunnablePassthrough,
+  RunnableWithMessageHistory
+} from '@langchain/core/runnables'
+import { AIMessage, HumanMessage } from '@langchain/core/messages'
+import { SessionManager } from '../history/sessionManager.js'
+import { MemoryHistoryStore } from '../history/memoryHistoryStore.js'
+import {
+  PromptRegistry,
+  resolvePromptConfig
+} from '../prompts/promptRegistry.js'
+import {
+  describeSource,
+  extractCitations,
+  formatContext,
+  numberSources
+} from './citations.js'
+
+export const DEFAULT_SESSION_ID = 'default'
+
+const DEFAULT_LABELS = {
+  summary: 'Resumo da conversa anterior',
+  human: 'Usuário',
+  ai: 'Assistente',
+  empty: '(nenhum)'
+}
+
+// Prompts take the history as text, with role names in the template's
+// language; an empty history renders as `labels.empty`
+export function formatChatHistory(messages = [], labels = {}) {
+  const { summary, human, ai, empty } = { ...DEFAULT_LABELS, ...labels }
+  if (messages.length === 0) return empty
+
+  const roles = { system: summary, human, ai }
+  return messages
+    .map(message => {
+      const type = message.getType()
+      return `${roles[type] || type}: ${message.content}`
+    })
+    .join('\n')
+}
 
 export class RAGChain {
-  constructor(llm, retriever) {
+  constructor(llm, retriever, options = {}) {
     this.llm = llm
     this.retriever = retriever
-    this.messageHistory = new ChatMessageHistory()
+    // Optional second stage: the retriever over-fetches, the reranker keeps
+    // the best topK documents for the prompt
+    this.reranker = options.reranker || null
+    this.topK = options.topK || 4
+    // Follow-ups are rewritten into standalone questions before retrieval
+    this.rewriteQuestions = options.rewriteQuestions ?? true
+    // Chat histories per session ID, in memory unless a store is given
+    this.sessions =
+      options.sessions || new SessionManager(new MemoryHistoryStore())
+    // Prompt template name, language and variables; see promptRegistry.js
+    this.promptRegistry = new PromptRegistry()
+    this.promptOptions = options.prompts || {}
+    this.prompts = resolvePromptConfig(this.promptOptions)
+    // Prompt text -> prompt | llm | parser, built on first use
+    this.promptChains = new Map()
     this.chain = null
     this.chainWithHistory = null
   }
@@ -23,20 +75,65 @@ export class RAGChain {
   async initialize() {
     try {
       console.log('Initializing RAG chain...')
-      const prompt = ChatPromptTemplate.fromTemplate(SYSTEM_PROMPT)
-      const documentChain = await createStuffDocumentsChain({
-        llm: this.llm,
-        prompt
+      // Fails on unknown templates or missing placeholders before any
+      // question is asked
+      this.prompts = await this.promptRegistry.initialize(this.promptOptions)
+      this.promptChains.clear()
+      console.log(
+        `Using prompt template "${this.prompts.template}" (language: ${this.prompts.language})`
+      )
+
+      // The session's history writes summaries in the selected language
+      const selectPrompt = RunnableLambda.from((input, config) => {
+        const prompt = this.selectPrompt(input.input, config?.configurable)
+        config?.configurable?.messageHistory?.usePrompt?.(prompt)
+        return prompt
       })
 
-      this.chain = await createRetrievalChain({
-        retriever: this.retriever,
-        combineDocsChain: documentChain
+      const condense = RunnableLambda.from((input, config) =>
+        this.condenseQuestion(
+          input.input,
+          input.chat_history,
+          input.prompt,
+          config
+        )
+      )
+
+      // Resolve the retriever per call so ask() can scope a single question
+      // (k, filters) and later reassignments of this.retriever take effect
+      const retrieve = RunnableLambda.from(async (input, config) => {
+        const {
+          retriever = this.retriever,
+          reranker,
+          topK
+        } = config?.configurable || {}
+        const query = input.standalone_question
+        const documents = await retriever.invoke(query, config)
+        return await this.rerankDocuments(query, documents, {
+          reranker,
+          topK
+        })
       })
 
+      const answer = RunnableLambda.from((input, config) =>
+        this.getPromptChain(input.prompt.system).invoke(
+          this.getAnswerInput(input.prompt, {
+            question: input.input,
+            chatHistory: input.chat_history,
+            documents: input.context
+          }),
+          config
+        )
+      )
+
+      this.chain = RunnablePassthrough.assign({ prompt: selectPrompt })
+        .pipe(RunnablePassthrough.assign({ standalone_question: condense }))
+        .pipe(RunnablePassthrough.assign({ context: retrieve }))
+        .pipe(RunnablePassthrough.assign({ answer }))
+
       this.chainWithHistory = new RunnableWithMessageHistory({
         runnable: this.chain,
-        getMessageHistory: () => this.messageHistory,
+        getMessageHistory: sessionId => this.getSessionHistory(sessionId),
         inputMessagesKey: 'input',
         historyMessagesKey: 'chat_history',
         outputMessagesKey: 'answer'
@@ -49,19 +146,116 @@ export class RAGChain {
     }
   }
 
-  async ask(question) {
+  // Per-call `prompt` (template name), `language` and `promptVariables`
+  // override the configured ones
+  selectPrompt(question, options = {}) {
+    const { prompt, language, promptVariables } = options
+    return this.promptRegistry.select(question, {
+      ...this.prompts,
+      ...(prompt && { template: prompt }),
+      ...(language && { language }),
+      variables: { ...this.prompts.variables, ...promptVariables }
+    })
+  }
+
+  getPromptChain(text) {
+    if (!this.promptChains.has(text)) {
+      this.promptChains.set(
+        text,
+        ChatPromptTemplate.fromTemplate(text)
+          .pipe(this.llm)
+          .pipe(new StringOutputParser())
+      )
+    }
+    return this.promptChains.get(text)
+  }
+
+  // Context and chat history are formatted as text with the template's
+  // labels; custom variables cannot shadow the chain's own
+  getAnswerInput(prompt, { question, chatHistory, documents }) {
+    return {
+      ...prompt.variables,
+      input: question,
+      chat_history: formatChatHistory(chatHistory, prompt.labels),
+      context: formatContext(documents, prompt.labels)
+    }
+  }
+
+  // Turns a follow-up ("and how do I remove it?") into a question that can
+  // be searched on its own. The first question of a session, or any question
+  // when rewriting is off or fails, is used as asked
+  async condenseQuestion(question, chatHistory = [], prompt, config = {}) {
+    if (!this.rewriteQuestions || chatHistory.length === 0) return question
+
+    try {
+      const rewritten = await this.getPromptChain(prompt.condense).invoke(
+        {
+          ...prompt.variables,
+          input: question,
+          chat_history: formatChatHistory(chatHistory, prompt.labels)
+        },
+        { signal: config.signal, callbacks: config.callbacks }
+      )
+      const standalone = rewritten.trim()
+      if (standalone) {
+        console.log(`Rewrote follow-up question as: ${standalone}`)
+        return standalone
+      }
+    } catch (error) {
+      if (config.signal?.aborted) throw error
+      console.error('Error rewriting follow-up question:', error.message)
+    }
+    return question
+  }
+
+  // A null reranker skips the stage for one call
+  async rerankDocuments(question, documents, options = {}) {
+    const { reranker = this.reranker, topK = this.topK } = options
+    if (!reranker) return documents
+    return await reranker.rerank(question, documents, topK)
+  }
+
+  getSessionHistory(sessionId = DEFAULT_SESSION_ID, prompt = null) {
+    return this.sessions.getHistory(sessionId, prompt)
+  }
+
+  async ask(question, options = {}) {
     this.checkInitialization()
+    const {
+      sessionId = DEFAULT_SESSION_ID,
+      retriever,
+      reranker,
+      topK,
+      prompt,
+      language,
+      promptVariables
+    } = options
     try {
       console.log(`Processing question: ${question}`)
       const response = await this.chainWithHistory.invoke(
         { input: question },
-        { configurable: { sessionId: 'default' } }
+        {
+          configurable: {
+            sessionId,
+            retriever,
+            reranker,
+            topK,
+            prompt,
+            language,
+            promptVariables
+          }
+        }
       )
 
       return {
         answer: response.answer,
+        question,
+        standaloneQuestion: response.standalone_question,
+        prompt: response.prompt.name,
+        language: response.prompt.language,
+        ...extractCitations(response.answer, response.context),
         sourceDocuments: response.context,
-        chatHistory: await this.messageHistory.getMessages()
+        chatHistory: await this.getSessionHistory(sessionId).getMessages()
       }
     } catch (error) {
       console.error('Error processing question:', error.message)
@@ -69,25 +263,118 @@ export class RAGChain {
     }
   }
 
-  async askWithSources(question) {
-    const result = await this.ask(question)
+  // Yields the retrieved documents first, then answer chunks as they arrive.
+  // The turn is added to the session history even if the stream is aborted.
+  async *askStream(question, options = {}) {
+    this.checkInitialization()
+    const {
+      sessionId = DEFAULT_SESSION_ID,
+      signal,
+      retriever = this.retriever,
+      reranker,
+      topK
+    } = options
+    const prompt = this.selectPrompt(question, options)
+    const history = this.getSessionHistory(sessionId, prompt)
+
+    console.log(`Streaming answer for question: ${question}`)
+    const chatHistory = await history.getMessages()
+    const standaloneQuestion = await this.condenseQuestion(
+      question,
+      chatHistory,
+      prompt,
+      { signal }
+    )
+    const sourceDocuments = await this.rerankDocuments(
+      standaloneQuestion,
+      await retriever.invoke(standaloneQuestion, { signal }),
+      { reranker, topK }
+    )
+    yield { type: 'sources', question, standaloneQuestion, sourceDocuments }
+
+    let answer = ''
+    let aborted = false
+    try {
+      const stream = await this.getPromptChain(prompt.system).stream(
+        this.getAnswerInput(prompt, {
+          question,
+          chatHistory,
+          documents: sourceDocuments
+        }),
+        { signal }
+      )
+
+      for await (const chunk of stream) {
+        answer += chunk
+        yield { type: 'chunk', content: chunk }
+      }
+    } catch (error) {
+      if (!signal?.aborted) {
+        console.error('Error streaming answer:', error.message)
+        throw error
+      }
+      aborted = true
+      console.log('Answer stream aborted')
+    } finally {
+      if (answer.length > 0) {
+        await history.addMessages([
+          new HumanMessage(question),
+          new AIMessage(answer)
+        ])
+      }
+    }
+
+    yield {
+      type: 'end',
+      answer,
+      question,
+      standaloneQuestion,
+      prompt: prompt.name,
+      language: prompt.language,
+      ...extractCitations(answer, sourceDocuments),
+      sourceDocuments,
+      aborted
+    }
+  }
+
+  // Sources carry their citation number, location and whether the answer
+  // cites them; `citedOnly` leaves out the uncited ones
+  async askWithSources(question, options = {}) {
+    const result = await this.ask(question, options)
+    const sources = numberSources(
+      result.sourceDocuments,
+      result.citations,
+      options.citedOnly
+    )
+
     return {
       answer: result.answer,
-      sources: result.sourceDocuments.map(doc => ({
-        content: doc.pageContent.substring(0, 200) + '...',
-        metadata: doc.metadata
+      question: result.question,
+      standaloneQuestion: result.standaloneQuestion,
+      prompt: result.prompt,
+      language: result.language,
+      citations: result.citations,
+      invalidCitations: result.invalidCitations,
+      sources: sources.map(({ index, document, cited }) => ({
+        index,
+        cited,
+        content: document.pageContent.substring(0, 200) + '...',
+        metadata: document.metadata,
+        location: describeSource(document),
+        // Rerank score and position before reranking, when reranked
+        ...(document.rerank && { rerank: document.rerank })
       })),
       chatHistory: result.chatHistory
     }
   }
 
-  clearMemory() {
-    this.messageHistory.clear()
-    console.log('Chat memory cleared')
+  async clearMemory(sessionId = DEFAULT_SESSION_ID) {
+    await this.getSessionHistory(sessionId).clear()
+    console.log(`Chat memory cleared for session: ${sessionId}`)
   }
 
-  getMemory() {
-    return this.messageHistory
+  getMemory(sessionId = DEFAULT_SESSION_ID) {
+    return this.getSessionHistory(sessionId)
   }
 
   getChain() {
@@ -0,0 +1,664 @@
+#!/usr/bin/env node
+import fs from 'fs'
+import readline from 'readline/promises'
+import { parseArgs } from 'util'
+import { numberSources } from './chains/citations.js'
+import {
+  validateDocumentFilter,
+  validateFilter
+} from './vectorStore/metadataFilter.js'
+
+const USAGE = `Usage: docs-lm <command> [options]
+
+Commands:
+  ingest [path]          Process all documents, or a single file
+  ask "<question>"       Ask a question against the indexed documents
+  search "<query>"       Similarity search without calling the LLM
+  status                 Show processor and collection status
+  refresh                Clear the collection and re-ingest all documents
+  reembed                Rebuild all vectors with the configured embedding
+  export [file]          Export the collection as JSON (stdout by default)
+  import <file>          Import a collection exported with "export"
+  chat                   Interactive question session with chat history
+  sessions [delete <id>] List chat sessions, or delete one
+  prompts                List prompt templates and their languages
+  watch                  Ingest, then re-index files as they change
+  serve                  Start the HTTP API server
+  mcp                    Start the MCP server on stdio
+
+Options:
+  --data <path>          Documents directory (default: DATA_PATH)
+  --collection <name>    Collection name (default: CHROMA_COLLECTION_NAME)
+  --persist-path <path>  Collection directory (default: CHROMA_PERSIST_PATH)
+  --memory               Use an in-memory collection, ingesting on demand
+  --store <backend>      Vector store: file, memory or chroma-server (default: VECTOR_STORE)
+  --chroma-url <url>     Chroma server URL (default: CHROMA_URL)
+  --k <number>           Number of documents to retrieve (default: 4)
+  --filter <filter>      Metadata filter as JSON or key=value (repeatable)
+  --contains <text>      Only use chunks containing the text (repeatable)
+  --hybrid               Combine keyword (BM25) and vector ranking
+  --mmr                  Prefer diverse chunks over near-duplicates (MMR)
+  --min-score <number>   Drop chunks below this similarity score (-1 to 1)
+  --session <id>         Chat session for "ask" and "chat" (default: default)
+  --sources              Include source excerpts in "ask" output
+  --cited-only           List only the sources the answer cites
+  --prompt <name>        Prompt template (default: PROMPT_TEMPLATE or default)
+  --language <code>      Answer language, or auto to follow the question
+  --var <key=value>      Value for a custom prompt variable (repeatable)
+  --include <glob>       Only index matching files (repeatable)
+  --exclude <glob>       Skip matching files (repeatable)
+  --prompts-dir <path>   Directory of prompt templates (default: PROMPT_TEMPLATES_DIR)
+  --json                 Print machine-readable JSON
+  --dry-run              With "ingest", list added, changed and removed files only
+  --watch                With "serve", re-index files as they change
+  --port <number>        HTTP server port (default: HTTP_PORT or 3000)
+  --host <address>       HTTP server host (default: HTTP_HOST or 127.0.0.1)
+  --verbose              Print service logs to stderr
+  -h, --help             Show this help`
+
+const OPTIONS = {
+  data: { type: 'string' },
+  collection: { type: 'string' },
+  'persist-path': { type: 'string' },
+  memory: { type: 'boolean', default: false },
+  store: { type: 'string' },
+  'chroma-url': { type: 'string' },
+  k: { type: 'string' },
+  filter: { type: 'string', multiple: true },
+  contains: { type: 'string', multiple: true },
+  hybrid: { type: 'boolean', default: false },
+  mmr: { type: 'boolean', default: false },
+  'min-score': { type: 'string' },
+  session: { type: 'string' },
+  sources: { type: 'boolean', default: false },
+  'cited-only': { type: 'boolean', default: false },
+  prompt: { type: 'string' },
+  language: { type: 'string' },
+  var: { type: 'string', multiple: true },
+  'prompts-dir': { type: 'string' },
+  include: { type: 'string', multiple: true },
+  exclude: { type: 'string', multiple: true },
+  json: { type: 'boolean', default: false },
+  'dry-run': { type: 'boolean', default: false },
+  watch: { type: 'boolean', default: false },
+  port: { type: 'string' },
+  host: { type: 'string' },
+  verbose: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false }
+}
+
+class UsageError extends Error {}
+
+// Services log progress to the console; keep stdout for command output
+function redirectLogs(verbose) {
+  const toStderr = (...args) => {
+    if (verbose) process.stderr.write(args.join(' ') + '\n')
+  }
+  console.log = toStderr
+  console.info = toStderr
+  console.warn = toStderr
+  console.error = toStderr
+}
+
+function write(text = '') {
+  process.stdout.write(text + '\n')
+}
+
+function parseK(value) {
+  if (value === undefined) return 4
+  const k = Number(value)
+  if (!Number.isInteger(k) || k < 1) {
+    throw new UsageError(`--k must be a positive integer, got "${value}"`)
+  }
+  return k
+}
+
+function parseFilter(values = []) {
+  const filter = {}
+  for (const value of values) {
+    if (value.trim().startsWith('{')) {
+      try {
+        Object.assign(filter, JSON.parse(value))
+      } catch (error) {
+        throw new UsageError(`Invalid JSON filter: ${error.message}`)
+      }
+      continue
+    }
+
+    const separator = value.indexOf('=')
+    if (separator <= 0) {
+      throw new UsageError(`Filter must be JSON or key=value, got "${value}"`)
+    }
+    filter[value.slice(0, separator)] = value.slice(separator + 1)
+  }
+  return checkFilter(validateFilter, filter)
+}
+
+function parseContains(values = []) {
+  const clauses = values.map(value => ({ $contains: value }))
+  if (clauses.length === 0) return {}
+  const whereDocument = clauses.length === 1 ? clauses[0] : { $and: clauses }
+  return checkFilter(validateDocumentFilter, whereDocument)
+}
+
+// Malformed filters are argument errors, reported before the store is opened
+function checkFilter(validate, filter) {
+  try {
+    validate(filter)
+  } catch (error) {
+    throw new UsageError(error.message)
+  }
+  return filter
+}
+
+// --hybrid, --mmr and --min-score select mutually exclusive search types
+function parseSearchOptions(options) {
+  const selected = [
+    options.hybrid && 'hybrid',
+    options.mmr && 'mmr',
+    options['min-score'] !== undefined && 'similarity_score_threshold'
+  ].filter(Boolean)
+  if (selected.length > 1) {
+    throw new UsageError('Use only one of --hybrid, --mmr and --min-score')
+  }
+  if (selected[0] !== 'similarity_score_threshold') {
+    return { searchType: selected[0] }
+  }
+
+  const scoreThreshold = Number(options['min-score'])
+  if (!(scoreThreshold >= -1 && scoreThreshold <= 1)) {
+    throw new UsageError(
+      `--min-score must be a number between -1 and 1, got "${options['min-score']}"`
+    )
+  }
+  return { searchType: selected[0], scoreThreshold }
+}
+
+function parseVariables(values = []) {
+  const variables = {}
+  for (const value of values) {
+    const separator = value.indexOf('=')
+    if (separator <= 0) {
+      throw new UsageError(`--var must be key=value, got "${value}"`)
+    }
+    variables[value.slice(0, separator)] = value.slice(separator + 1)
+  }
+  return variables
+}
+
+function requireArgument(value, name) {
+  if (!value || value.trim().length === 0) {
+    throw new UsageError(`Missing ${name}`)
+  }
+  return value
+}
+
+// "path > Heading > Subheading, lines 10-24" or "file.pdf, page 3, ..."
+function formatLocation(metadata = {}) {
+  const { source = 'unknown', headingPath = [], loc } = metadata
+  const headings = headingPath.map(heading => ` > ${heading}`).join('')
+  const page = loc?.pageNumber ? `, page ${loc.pageNumber}` : ''
+  const lines = loc?.lines ? `, lines ${loc.lines.from}-${loc.lines.to}` : ''
+  return source + headings + page + lines
+}
+
+// Documents keep their citation number when they have one
+function printDocuments(documents) {
+  documents.forEach((doc, position) => {
+    const value = doc.score ?? doc.rerank?.score
+    const score =
+      typeof value === 'number' ? ` (score ${value.toFixed(3)})` : ''
+    write(
+      `${doc.index ?? position + 1}. ${formatLocation(doc.metadata)}${score}`
+    )
+    const text = doc.pageContent || doc.content
+    if (text) write(`   ${text.replace(/\s+/g, ' ')}`)
+  })
+}
+
+// In memory mode every run starts empty, so index before querying
+async function ensureDocuments(docs, options) {
+  await docs.initialize()
+  if (options.memory) {
+    const count = await docs.processor.getChromaStore().getDocumentCount()
+    if (count === 0) await docs.ingest()
+  }
+}
+
+async function runIngest(docs, [filePath], options) {
+  if (options['dry-run']) {
+    if (filePath) throw new UsageError('--dry-run checks the whole data path')
+    const report = await docs.checkForUpdates()
+    if (options.json) return write(JSON.stringify(report, null, 2))
+    if (!report.hasUpdates) return write('Collection is up to date')
+    for (const [label, sources] of [
+      ['Added', report.added],
+      ['Changed', report.changed],
+      ['Removed', report.removed]
+    ]) {
+      sources.forEach(source => write(`${label}: ${source}`))
+    }
+    return
+  }
+
+  const result = await docs.ingest(filePath || null)
+  if (options.json) return write(JSON.stringify(result, null, 2))
+  write(
+    `Processed ${result.processed} files (${result.updated} changed), removed ${result.removed}, skipped ${result.skipped} unchanged; added ${result.added} chunks, deleted ${result.deleted}`
+  )
+}
+
+async function runAsk(docs, [question], options) {
+  requireArgument(question, 'question')
+  await ensureDocuments(docs, options)
+
+  const result = await docs.ask(question, {
+    k: parseK(options.k),
+    filter: parseFilter(options.filter),
+    whereDocument: parseContains(options.contains),
+    ...parseSearchOptions(options),
+    sessionId: options.session,
+    prompt: options.prompt,
+    language: options.language,
+    withSources: options.sources,
+    citedOnly: options['cited-only']
+  })
+
+  if (options.json) {
+    return write(
+      JSON.stringify(
+        {
+          answer: result.answer,
+          standaloneQuestion: result.standaloneQuestion,
+          prompt: result.prompt,
+          language: result.language,
+          citations: result.citations,
+          invalidCitations: result.invalidCitations,
+          sources: result.sources || result.sourceDocuments,
+          metadata: result.metadata
+        },
+        null,
+        2
+      )
+    )
+  }
+
+  write(result.answer)
+  const sources =
+    result.sources ||
+    numberSources(
+      result.sourceDocuments,
+      result.citations,
+      options['cited-only']
+    ).map(({ index, document }) => ({ index, metadata: document.metadata }))
+  if (sources.length > 0) {
+    write('\nSources:')
+    printDocuments(sources)
+  }
+}
+
+async function runSearch(docs, [query], options) {
+  requireArgument(query, 'query')
+  await ensureDocuments(docs, options)
+
+  const results = await docs.search(query, {
+    k: parseK(options.k),
+    filter: parseFilter(options.filter),
+    whereDocument: parseContains(options.contains),
+    ...parseSearchOptions(options),
+    withScores: true
+  })
+
+  if (options.json) return write(JSON.stringify(results, null, 2))
+  if (results.length === 0) return write('No matching documents')
+  printDocuments(results)
+}
+
+async function runStatus(docs, args, options) {
+  await docs.initialize()
+  const { processor } = await docs.status()
+  const store = docs.processor.getChromaStore()
+  const status = {
+    ...processor,
+    collection: store.collectionName,
+    persistDir: store.isPersistent ? store.storage?.dir : null,
+    url: store.url || null
+  }
+
+  if (options.json) return write(JSON.stringify(status, null, 2))
+  write(`Collection:  ${status.collection}`)
+  write(
+    `Storage:     ${status.url || (status.persistent ? status.persistDir : 'memory')}`
+  )
+  write(`Documents:   ${status.documentCount}`)
+
+  const { embedding } = status
+  write(
+    `Embedding:   ${embedding.provider}/${embedding.model} (${embedding.dimension ?? '?'} dimensions)`
+  )
+  if (status.index?.type === 'hnsw') {
+    write(
+      `Index:       HNSW, ${status.index.size} vectors${status.index.active ? '' : ' (exact search below minimum size)'}`
+    )
+  }
+  if (!embedding.compatible) {
+    write(
+      `Warning:     configured embedding is ${embedding.configured.provider}/${embedding.configured.model}; run "docs-lm reembed"`
+    )
+  }
+}
+
+async function runRefresh(docs, args, options) {
+  const result = await docs.refresh()
+  if (options.json) return write(JSON.stringify(result, null, 2))
+  write(`Re-indexed ${result.added} chunks`)
+}
+
+async function runReembed(docs, args, options) {
+  const result = await docs.reembed()
+  if (options.json) return write(JSON.stringify(result, null, 2))
+  write(
+    `Re-embedded ${result.reembedded} chunks with ${result.embedding.provider}/${result.embedding.model}`
+  )
+}
+
+async function runExport(docs, [filePath], options) {
+  await docs.initialize()
+  const data = await docs.processor.getChromaStore().exportData()
+  const json = JSON.stringify(data, null, 2)
+
+  if (!filePath) return write(json)
+
+  fs.writeFileSync(filePath, json)
+  const summary = { file: filePath, documents: data.data.ids.length }
+  if (options.json) return write(JSON.stringify(summary, null, 2))
+  write(`Exported ${summary.documents} documents to ${filePath}`)
+}
+
+async function runImport(docs, [filePath], options) {
+  requireArgument(filePath, 'file to import')
+  if (!fs.existsSync(filePath)) {
+    throw new UsageError(`File not found: ${filePath}`)
+  }
+
+  let data
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'))
+  } catch (error) {
+    throw new Error(`Could not read export file: ${error.message}`)
+  }
+  if (!data?.data?.ids) {
+    throw new Error(`Not a docs-lm export file: ${filePath}`)
+  }
+
+  await docs.initialize()
+  const store = docs.processor.getChromaStore()
+  await store.importData(data)
+
+  const summary = {
+    file: filePath,
+    imported: data.data.ids.length,
+    documentCount: await store.getDocumentCount()
+  }
+  if (options.json) return write(JSON.stringify(summary, null, 2))
+  write(`Imported ${summary.imported} documents from ${filePath}`)
+}
+
+async function runChat(docs, args, options) {
+  await ensureDocuments(docs, options)
+  await docs.initializeRAG()
+
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+    prompt: options.json ? '' : '> '
+  })
+  if (!options.json) {
+    write('Type a question, /history, /clear or /exit.')
+  }
+  rl.prompt()
+
+  try {
+    // Iterating the interface buffers lines typed or piped while answering
+    for await (const rawLine of rl) {
+      if (await handleChatLine(docs, rawLine.trim(), options)) break
+      rl.prompt()
+    }
+  } finally {
+    rl.close()
+  }
+}
+
+// Returns true when the session should end
+async function handleChatLine(docs, line, options) {
+  if (!line) return false
+  if (line === '/exit' || line === '/quit') return true
+
+  if (line === '/clear') {
+    await docs.clearHistory(options.session)
+    if (!options.json) write('History cleared')
+    return false
+  }
+
+  if (line === '/history') {
+    const messages = await docs.history(options.session)
+    if (options.json) {
+      write(JSON.stringify({ history: messages }))
+    } else {
+      messages.forEach(m => write(`[${m.role}] ${m.content}`))
+    }
+    return false
+  }
+
+  try {
+    const result = await docs.ask(line, {
+      k: parseK(options.k),
+      filter: parseFilter(options.filter),
+      whereDocument: parseContains(options.contains),
+      ...parseSearchOptions(options),
+      sessionId: options.session,
+      prompt: options.prompt,
+      language: options.language
+    })
+    if (options.json) {
+      write(
+        JSON.stringify({
+          question: line,
+          standaloneQuestion: result.standaloneQuestion,
+          answer: result.answer,
+          sources: result.sourceDocuments.map(doc => doc.metadata.source)
+        })
+      )
+    } else {
+      write(result.answer + '\n')
+    }
+  } catch (error) {
+    reportError(error, options)
+  }
+  return false
+}
+
+function waitForSignal() {
+  return new Promise(resolve => {
+    process.once('SIGINT', resolve)
+    process.once('SIGTERM', resolve)
+  })
+}
+
+// One line per synced file; `print` is stderr when stdout carries a protocol
+function reportWatchEvents(processor, options, print = write) {
+  const report = (type, details) =>
+    print(
+      options.json
+        ? JSON.stringify({ type, ...details })
+        : `${type} ${details.source}`
+    )
+  processor.on('indexed', ({ source, added, deleted }) =>
+    report('indexed', { source, added, deleted })
+  )
+  processor.on('removed', ({ source, deleted }) =>
+    report('removed', { source, deleted })
+  )
+  processor.on('error', (error, source) =>
+    report('error', { source, error: error.message })
+  )
+}
+
+async function runWatch(docs, args, options) {
+  const processor = await docs.watch()
+  reportWatchEvents(processor, options)
+  process.stderr.write(`Watching ${processor.documentLoader.dataPath}\n`)
+
+  await waitForSignal()
+  await docs.unwatch()
+}
+
+async function runServe(docs, args, options) {
+  const { HttpServer } = await import('./server/httpServer.js')
+  const port = options.port === undefined ? undefined : Number(options.port)
+  if (port !== undefined && (!Number.isInteger(port) || port < 0)) {
+    throw new UsageError(`--port must be a port number, got "${options.port}"`)
+  }
+
+  await docs.initialize()
+  if (options.watch) {
+    const toStderr = text => process.stderr.write(text + '\n')
+    reportWatchEvents(await docs.watch(), options, toStderr)
+  }
+  const server = new HttpServer(docs, { port, host: options.host })
+  const { address, port: boundPort } = await server.start()
+  process.stderr.write(`Listening on http://${address}:${boundPort}\n`)
+
+  await waitForSignal()
+  await server.stop()
+}
+
+async function runMcp(docs) {
+  const { DocsMcpServer } = await import('./server/mcpServer.js')
+  const server = new DocsMcpServer(docs)
+  await server.start()
+
+  await new Promise(resolve => {
+    process.stdin.once('close', resolve)
+    process.once('SIGINT', resolve)
+    process.once('SIGTERM', resolve)
+  })
+  await server.stop()
+}
+
+async function runSessions(docs, [action, sessionId], options) {
+  await docs.initializeRAG()
+
+  if (action === 'delete') {
+    requireArgument(sessionId, 'session ID')
+    const deleted = await docs.deleteSession(sessionId)
+    if (options.json) return write(JSON.stringify({ sessionId, deleted }))
+    return write(deleted ? `Deleted session ${sessionId}` : 'No such session')
+  }
+  if (action !== undefined) {
+    throw new UsageError(`Unknown sessions action: ${action}`)
+  }
+
+  const sessions = await docs.listSessions()
+  if (options.json) return write(JSON.stringify(sessions, null, 2))
+  if (sessions.length === 0) return write('No chat sessions')
+  for (const session of sessions) {
+    const summary = session.summarized ? ', summarized' : ''
+    write(
+      `${session.sessionId}  ${session.messages} messages${summary}, last used ${session.updatedAt}`
+    )
+  }
+}
+
+async function runPrompts(docs, args, options) {
+  const prompts = await docs.listPrompts()
+  if (options.json) return write(JSON.stringify(prompts, null, 2))
+  for (const { name, languages } of prompts) {
+    write(`${name}  ${languages.join(', ')}`)
+  }
+}
+
+const COMMANDS = {
+  ingest: runIngest,
+  ask: runAsk,
+  search: runSearch,
+  status: runStatus,
+  refresh: runRefresh,
+  reembed: runReembed,
+  export: runExport,
+  import: runImport,
+  chat: runChat,
+  sessions: runSessions,
+  prompts: runPrompts,
+  watch: runWatch,
+  serve: runServe,
+  mcp: runMcp
+}
+
+function reportError(error, options) {
+  if (options.json) {
+    process.stderr.write(JSON.stringify({ error: error.message }) + '\n')
+  } else {
+    process.stderr.write(`Error: ${error.message}\n`)
+  }
+}
+
+async function main(argv) {
+  let parsed
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true })
+  } catch (error) {
+    process.stderr.write(`${error.message}\n\n${USAGE}\n`)
+    return 2
+  }
+
+  const options = parsed.values
+  const [command, ...args] = parsed.positionals
+
+  if (options.help || !command) {
+    write(USAGE)
+    return options.help ? 0 : 2
+  }
+
+  const run = COMMANDS[command]
+  if (!run) {
+    process.stderr.write(`Unknown command: ${command}\n\n${USAGE}\n`)
+    return 2
+  }
+
+  let variables
+  try {
+    variables = parseVariables(options.var)
+  } catch (error) {
+    reportError(error, options)
+    return 2
+  }
+
+  redirectLogs(options.verbose)
+  const { DocsLM } = await import('./main.js')
+  const docs = new DocsLM({
+    dataPath: options.data,
+    collectionName: options.collection,
+    persistPath: options['persist-path'],
+    persistent: !options.memory,
+    vectorStore: options.store,
+    chromaUrl: options['chroma-url'],
+    prompts: {
+      directory: options['prompts-dir'],
+      variables
+    },
+    loaders: { include: options.include, exclude: options.exclude }
+  })
+
+  try {
+    await run(docs, args, options)
+    return 0
+  } catch (error) {
+    reportError(error, options)
+    return error instanceof UsageError ? 2 : 1
+  } finally {
+    await docs.close()
+  }
+}
+
+process.exitCode = await main(process.argv.slice(2))
@@ -95,6 +95,7 @@ async function endToEndTest() {
         followUp.chatHistory.length > history.length ? 'Yes' : 'No'
       }`
     )
+    console.log(`   Searched for: ${followUp.standaloneQuestion}`)
 
     // Phase 4: Mode Switching Tests
     console.log('\n💾 PHASE 4: Mode Switching Tests')
@@ -0,0 +1,78 @@
+import dotenv from 'dotenv'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { HashEmbeddings } from '../embeddings/hashEmbeddingService.js'
+import { createVectorStore } from '../vectorStore/storeFactory.js'
+import { runStoreConformance } from '../vectorStore/storeConformance.js'
+
+dotenv.config()
+
+/**
+ * Runs the vector store conformance checks against every backend that can
+ * run here. The Chroma server backend is included when CHROMA_URL is set.
+ *
+ * Usage: yarn test:stores [--verbose]
+ */
+const verbose = process.argv.includes('--verbose')
+const embedding = { provider: 'hash', model: 'hash-64' }
+const persistPath = fs.mkdtempSync(path.join(os.tmpdir(), 'docs-lm-stores-'))
+
+const targets = [
+  { name: 'memory', backend: 'memory', persistent: false },
+  { name: 'file (memory mode)', backend: 'file', persistent: false },
+  { name: 'file (persistent)', backend: 'file', persistent: true },
+  // Small collections are searched exactly unless minSize is lowered
+  {
+    name: 'file (hnsw)',
+    backend: 'file',
+    persistent: true,
+    index: { type: 'hnsw', minSize: 0 }
+  }
+]
+if (process.env.CHROMA_URL) {
+  targets.push({
+    name: 'chroma-server',
+    backend: 'chroma-server',
+    persistent: true
+  })
+}
+
+async function storeConformance() {
+  const logs = { log: console.log, warn: console.warn, error: console.error }
+  let failed = 0
+
+  for (const target of targets) {
+    const collectionName = `conformance_${Date.now()}`
+    const createStore = () =>
+      createVectorStore(new HashEmbeddings({ dimensions: 64 }), {
+        backend: target.backend,
+        collectionName,
+        persistPath,
+        embedding,
+        index: target.index
+      })
+
+    // Store progress logs drown out the report unless asked for
+    if (!verbose) console.log = console.warn = console.error = () => {}
+    const report = await runStoreConformance(createStore, {
+      persistent: target.persistent
+    })
+    Object.assign(console, logs)
+
+    console.log(
+      `\n${target.name}: ${report.passed} passed, ${report.failed} failed`
+    )
+    for (const result of report.results) {
+      console.log(`  ${result.passed ? 'ok  ' : 'FAIL'} ${result.name}`)
+      if (!result.passed) console.log(`       ${result.error}`)
+    }
+    failed += report.failed
+  }
+
+  fs.rmSync(persistPath, { recursive: true, force: true })
+  return failed
+}
+
+const failed = await storeConformance()
+process.exitCode = failed > 0 ? 1 : 0
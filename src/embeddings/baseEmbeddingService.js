@@ -1,37 +1,20 @@
-import { HuggingFaceInferenceEmbeddings } from '@langchain/community/embeddings/hf'
-
-export class EmbeddingService {
+export class BaseEmbeddingService {
   get embeddings() {
     return this._embeddings
   }
 
-  constructor() {
-    this._embeddings = new HuggingFaceInferenceEmbeddings({
-      apiKey: process.env.HUGGINGFACE_API_KEY,
-      model: process.env.EMBEDDING_MODEL,
-      provider: process.env.EMBEDDING_PROVIDER
-    })
+  constructor(options = {}) {
+    this.provider = options.provider
+    this.model = options.model
+    this._embeddings = null
   }
 
-  async checkConfig() {
-    if (!process.env.HUGGINGFACE_API_KEY) {
-      throw new Error('HUGGINGFACE_API_KEY environment variable is required')
-    }
-    if (!process.env.EMBEDDING_MODEL) {
-      throw new Error('EMBEDDING_MODEL environment variable is required')
-    }
-  }
+  async checkConfig() {}
 
   async checkConnection() {
     try {
       await this._embeddings.embedQuery('testing')
     } catch (error) {
-      if (error.message.includes('401')) {
-        throw new Error('Invalid HuggingFace API key')
-      }
-      if (error.message.includes('404')) {
-        throw new Error(`Model ${process.env.EMBEDDING_MODEL} not found`)
-      }
       throw new Error(`Connection validation failed: ${error.message}`)
     }
   }
@@ -39,7 +22,7 @@ export class EmbeddingService {
   async initialize() {
     try {
       console.log(
-        `Initializing embedding. Model: ${process.env.EMBEDDING_MODEL}`
+        `Initializing ${this.provider} embedding. Model: ${this.model}`
       )
       await this.checkConfig()
       await this.checkConnection()
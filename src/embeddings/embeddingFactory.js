@@ -0,0 +1,61 @@
+import { HuggingFaceEmbeddingService } from './huggingFaceEmbeddingService.js'
+import { OpenAICompatibleEmbeddingService } from './openAICompatibleEmbeddingService.js'
+import { LocalEmbeddingService } from './localEmbeddingService.js'
+import { HashEmbeddingService } from './hashEmbeddingService.js'
+
+const providers = new Map()
+
+export function registerEmbeddingProvider(name, factory) {
+  if (typeof factory !== 'function') {
+    throw new Error(
+      `Embedding provider "${name}" must be registered with a factory`
+    )
+  }
+  providers.set(name.toLowerCase(), factory)
+}
+
+export function getEmbeddingProviders() {
+  return [...providers.keys()]
+}
+
+// Explicit options win over EMBEDDING_* environment variables
+export function resolveEmbeddingConfig(options = {}) {
+  return {
+    ...options,
+    provider: (
+      options.provider ||
+      process.env.EMBEDDING_PROVIDER ||
+      'hf-inference'
+    ).toLowerCase()
+  }
+}
+
+export function createEmbeddingService(options = {}) {
+  const config = resolveEmbeddingConfig(options)
+  const factory = providers.get(config.provider)
+
+  if (!factory) {
+    throw new Error(
+      `Unknown embedding provider "${config.provider}". Available: ${getEmbeddingProviders().join(', ')}`
+    )
+  }
+  return factory(config)
+}
+
+registerEmbeddingProvider(
+  'hf-inference',
+  options => new HuggingFaceEmbeddingService(options)
+)
+registerEmbeddingProvider(
+  'huggingface',
+  options => new HuggingFaceEmbeddingService(options)
+)
+registerEmbeddingProvider(
+  'openai',
+  options => new OpenAICompatibleEmbeddingService(options)
+)
+registerEmbeddingProvider(
+  'local',
+  options => new LocalEmbeddingService(options)
+)
+registerEmbeddingProvider('hash', options => new HashEmbeddingService(options))
@@ -0,0 +1,57 @@
+import { Embeddings } from '@langchain/core/embeddings'
+import { BaseEmbeddingService } from './baseEmbeddingService.js'
+
+const DEFAULT_DIMENSIONS = 256
+
+// 32-bit FNV-1a
+function hashToken(token) {
+  let hash = 0x811c9dc5
+  for (let i = 0; i < token.length; i++) {
+    hash ^= token.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return hash >>> 0
+}
+
+/**
+ * Deterministic feature-hashing embedder for tests and offline use.
+ * Texts sharing words get similar vectors; there is no semantics.
+ */
+export class HashEmbeddings extends Embeddings {
+  constructor(options = {}) {
+    super({})
+    this.dimensions = options.dimensions || DEFAULT_DIMENSIONS
+  }
+
+  embedText(text) {
+    const vector = new Array(this.dimensions).fill(0)
+    const tokens = text.toLowerCase().match(/[\p{L}\p{N}_]+/gu) || []
+
+    for (const token of tokens) {
+      const hash = hashToken(token)
+      vector[hash % this.dimensions] += hash >>> 31 ? -1 : 1
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value ** 2, 0))
+    return norm === 0 ? vector : vector.map(value => value / norm)
+  }
+
+  async embedDocuments(texts) {
+    return texts.map(text => this.embedText(text))
+  }
+
+  async embedQuery(text) {
+    return this.embedText(text)
+  }
+}
+
+export class HashEmbeddingService extends BaseEmbeddingService {
+  constructor(options = {}) {
+    const dimensions =
+      options.dimensions ||
+      parseInt(process.env.EMBEDDING_DIMENSIONS) ||
+      DEFAULT_DIMENSIONS
+    super({ ...options, provider: 'hash', model: `hash-${dimensions}` })
+    this._embeddings = new HashEmbeddings({ dimensions })
+  }
+}
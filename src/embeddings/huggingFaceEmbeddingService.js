@@ -0,0 +1,46 @@
+import { HuggingFaceInferenceEmbeddings } from '@langchain/community/embeddings/hf'
+import { BaseEmbeddingService } from './baseEmbeddingService.js'
+
+export class HuggingFaceEmbeddingService extends BaseEmbeddingService {
+  constructor(options = {}) {
+    super({
+      ...options,
+      provider: 'hf-inference',
+      model: options.model || process.env.EMBEDDING_MODEL
+    })
+    this.apiKey = options.apiKey || process.env.HUGGINGFACE_API_KEY
+    // Inference provider on the HuggingFace side, not the docs-lm provider
+    this.inferenceProvider =
+      options.inferenceProvider ||
+      process.env.HF_INFERENCE_PROVIDER ||
+      'hf-inference'
+    this._embeddings = new HuggingFaceInferenceEmbeddings({
+      apiKey: this.apiKey,
+      model: this.model,
+      provider: this.inferenceProvider
+    })
+  }
+
+  async checkConfig() {
+    if (!this.apiKey) {
+      throw new Error('HUGGINGFACE_API_KEY environment variable is required')
+    }
+    if (!this.model) {
+      throw new Error('EMBEDDING_MODEL environment variable is required')
+    }
+  }
+
+  async checkConnection() {
+    try {
+      await this._embeddings.embedQuery('testing')
+    } catch (error) {
+      if (error.message.includes('401')) {
+        throw new Error('Invalid HuggingFace API key')
+      }
+      if (error.message.includes('404')) {
+        throw new Error(`Model ${this.model} not found`)
+      }
+      throw new Error(`Connection validation failed: ${error.message}`)
+    }
+  }
+}
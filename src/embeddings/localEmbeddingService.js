@@ -0,0 +1,55 @@
+import { Embeddings } from '@langchain/core/embeddings'
+import { BaseEmbeddingService } from './baseEmbeddingService.js'
+
+/**
+ * Runs a transformers.js model in-process through Chroma's default
+ * embedding function. The model is downloaded once and cached locally.
+ */
+class TransformersEmbeddings extends Embeddings {
+  constructor(options = {}) {
+    super({})
+    this.modelName = options.modelName
+    this.dtype = options.dtype
+    this.embeddingFunction = null
+  }
+
+  async getEmbeddingFunction() {
+    if (!this.embeddingFunction) {
+      // Loaded lazily: transformers.js is heavy and only needed here
+      const { DefaultEmbeddingFunction } =
+        await import('@chroma-core/default-embed')
+      this.embeddingFunction = new DefaultEmbeddingFunction({
+        modelName: this.modelName,
+        dtype: this.dtype
+      })
+    }
+    return this.embeddingFunction
+  }
+
+  async embedDocuments(texts) {
+    const embeddingFunction = await this.getEmbeddingFunction()
+    return await embeddingFunction.generate(texts)
+  }
+
+  async embedQuery(text) {
+    const [embedding] = await this.embedDocuments([text])
+    return embedding
+  }
+}
+
+export class LocalEmbeddingService extends BaseEmbeddingService {
+  constructor(options = {}) {
+    super({
+      ...options,
+      provider: 'local',
+      model:
+        options.model ||
+        process.env.EMBEDDING_MODEL ||
+        'Xenova/all-MiniLM-L6-v2'
+    })
+    this._embeddings = new TransformersEmbeddings({
+      modelName: this.model,
+      dtype: options.dtype || 'fp32'
+    })
+  }
+}
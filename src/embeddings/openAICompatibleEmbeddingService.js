@@ -0,0 +1,37 @@
+import { OpenAIEmbeddings } from '@langchain/openai'
+import { BaseEmbeddingService } from './baseEmbeddingService.js'
+
+/**
+ * Embeddings from the OpenAI API or any server implementing its
+ * embeddings endpoint (Ollama, llama.cpp, vLLM, text-embeddings-inference)
+ */
+export class OpenAICompatibleEmbeddingService extends BaseEmbeddingService {
+  constructor(options = {}) {
+    super({
+      ...options,
+      provider: 'openai',
+      model:
+        options.model || process.env.EMBEDDING_MODEL || 'text-embedding-3-small'
+    })
+    this.baseURL = options.baseURL || process.env.EMBEDDING_BASE_URL
+    // Local servers usually accept any key, but the client requires one
+    this.apiKey =
+      options.apiKey ||
+      process.env.OPENAI_API_KEY ||
+      (this.baseURL ? 'not-needed' : undefined)
+    this._embeddings = new OpenAIEmbeddings({
+      model: this.model,
+      apiKey: this.apiKey,
+      dimensions: options.dimensions,
+      configuration: this.baseURL ? { baseURL: this.baseURL } : undefined
+    })
+  }
+
+  async checkConfig() {
+    if (!this.apiKey) {
+      throw new Error(
+        'OPENAI_API_KEY environment variable is required unless EMBEDDING_BASE_URL points to a local server'
+      )
+    }
+  }
+}
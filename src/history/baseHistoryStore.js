@@ -0,0 +1,39 @@
+/**
+ * Storage contract for chat sessions. A session is
+ * `{ sessionId, summary, messages, createdAt, updatedAt }`: messages are
+ * `{ role, content }` with role 'human' or 'ai', summary condenses turns
+ * dropped from messages (null until the first one is) and the timestamps
+ * are epoch milliseconds. Expiry and length limits are applied by
+ * SessionManager, so stores only persist what they are given.
+ */
+export class BaseHistoryStore {
+  constructor(options = {}) {
+    this.backend = null
+  }
+
+  async initialize() {
+    return this
+  }
+
+  // Returns the session, or null when it does not exist
+  async getSession(sessionId) {
+    this.notImplemented('getSession')
+  }
+
+  async saveSession(session) {
+    this.notImplemented('saveSession')
+  }
+
+  // Returns true when a session was deleted
+  async deleteSession(sessionId) {
+    this.notImplemented('deleteSession')
+  }
+
+  async listSessions() {
+    this.notImplemented('listSessions')
+  }
+
+  notImplemented(method) {
+    throw new Error(`${this.constructor.name} does not implement ${method}()`)
+  }
+}
@@ -0,0 +1,80 @@
+import fs from 'fs'
+import path from 'path'
+import { BaseHistoryStore } from './baseHistoryStore.js'
+import { writeAtomic } from '../vectorStore/collectionStorage.js'
+
+const EXTENSION = '.json'
+
+/**
+ * One JSON file per session in `dir`, so conversations survive restarts
+ * and can be inspected or removed by hand. Session IDs are URI-encoded
+ * into file names.
+ */
+export class FileHistoryStore extends BaseHistoryStore {
+  constructor(options = {}) {
+    super(options)
+    this.backend = 'file'
+    if (!options.path) {
+      throw new Error('FileHistoryStore requires a directory path')
+    }
+    this.dir = options.path
+  }
+
+  async initialize() {
+    try {
+      await fs.promises.mkdir(this.dir, { recursive: true })
+      return this
+    } catch (error) {
+      console.error('Error creating history directory:', error.message)
+      throw error
+    }
+  }
+
+  sessionPath(sessionId) {
+    return path.join(this.dir, encodeURIComponent(sessionId) + EXTENSION)
+  }
+
+  async readSession(filePath) {
+    try {
+      return JSON.parse(await fs.promises.readFile(filePath, 'utf8'))
+    } catch (error) {
+      if (error.code === 'ENOENT') return null
+      console.error(`Error reading session file ${filePath}:`, error.message)
+      throw error
+    }
+  }
+
+  async getSession(sessionId) {
+    return await this.readSession(this.sessionPath(sessionId))
+  }
+
+  async saveSession(session) {
+    await fs.promises.mkdir(this.dir, { recursive: true })
+    await writeAtomic(
+      this.sessionPath(session.sessionId),
+      JSON.stringify(session, null, 2)
+    )
+  }
+
+  async deleteSession(sessionId) {
+    try {
+      await fs.promises.unlink(this.sessionPath(sessionId))
+      return true
+    } catch (error) {
+      if (error.code === 'ENOENT') return false
+      throw error
+    }
+  }
+
+  async listSessions() {
+    if (!fs.existsSync(this.dir)) return []
+
+    const sessions = []
+    for (const file of await fs.promises.readdir(this.dir)) {
+      if (!file.endsWith(EXTENSION)) continue
+      const session = await this.readSession(path.join(this.dir, file))
+      if (session) sessions.push(session)
+    }
+    return sessions
+  }
+}
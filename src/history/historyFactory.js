@@ -0,0 +1,67 @@
+import path from 'path'
+import { MemoryHistoryStore } from './memoryHistoryStore.js'
+import { FileHistoryStore } from './fileHistoryStore.js'
+import { SessionManager } from './sessionManager.js'
+import { resolveDataPath } from '../loaders/documentLoader.js'
+
+const stores = new Map()
+
+export function registerHistoryStore(name, factory) {
+  if (typeof factory !== 'function') {
+    throw new Error(`History store "${name}" must be registered with a factory`)
+  }
+  stores.set(name.toLowerCase(), factory)
+}
+
+export function getHistoryStores() {
+  return [...stores.keys()]
+}
+
+// Explicit options win over HISTORY_* environment variables. File-backed
+// sessions live in .docs-lm/sessions inside the data directory by default
+export function resolveHistoryConfig(options = {}) {
+  const fromEnv = (name, fallback) =>
+    process.env[name] ? Number(process.env[name]) : fallback
+  const dataPath = resolveDataPath(options.dataPath)
+
+  return {
+    ...options,
+    store: (
+      options.store ||
+      process.env.HISTORY_STORE ||
+      'memory'
+    ).toLowerCase(),
+    path:
+      options.path ||
+      process.env.HISTORY_PATH ||
+      path.join(dataPath, '.docs-lm', 'sessions'),
+    ttlMinutes: options.ttlMinutes ?? fromEnv('HISTORY_TTL_MINUTES', 0),
+    maxMessages: options.maxMessages ?? fromEnv('HISTORY_MAX_MESSAGES', 20),
+    summarize: options.summarize ?? process.env.HISTORY_SUMMARIZE !== 'false'
+  }
+}
+
+export function createHistoryStore(options = {}) {
+  const config = resolveHistoryConfig(options)
+  const factory = stores.get(config.store)
+  if (!factory) {
+    throw new Error(
+      `Unknown history store "${config.store}". Available: ${getHistoryStores().join(', ')}`
+    )
+  }
+  return factory(config)
+}
+
+// `context.llmService` writes the summaries of trimmed conversations
+export function createSessionManager(options = {}, context = {}) {
+  const config = resolveHistoryConfig(options)
+  return new SessionManager(createHistoryStore(config), {
+    ttl: config.ttlMinutes * 60 * 1000,
+    maxMessages: config.maxMessages,
+    summarize: config.summarize,
+    llmService: context.llmService
+  })
+}
+
+registerHistoryStore('memory', options => new MemoryHistoryStore(options))
+registerHistoryStore('file', options => new FileHistoryStore(options))
@@ -0,0 +1,29 @@
+import { BaseHistoryStore } from './baseHistoryStore.js'
+
+/**
+ * Keeps sessions in process memory; they are lost on restart.
+ */
+export class MemoryHistoryStore extends BaseHistoryStore {
+  constructor(options = {}) {
+    super(options)
+    this.backend = 'memory'
+    this.sessions = new Map()
+  }
+
+  async getSession(sessionId) {
+    const session = this.sessions.get(sessionId)
+    return session ? structuredClone(session) : null
+  }
+
+  async saveSession(session) {
+    this.sessions.set(session.sessionId, structuredClone(session))
+  }
+
+  async deleteSession(sessionId) {
+    return this.sessions.delete(sessionId)
+  }
+
+  async listSessions() {
+    return [...this.sessions.values()].map(session => structuredClone(session))
+  }
+}
@@ -0,0 +1,224 @@
+import { BaseListChatMessageHistory } from '@langchain/core/chat_history'
+import {
+  AIMessage,
+  HumanMessage,
+  SystemMessage
+} from '@langchain/core/messages'
+import { DEFAULT_TEMPLATES } from '../prompts/defaultTemplates.js'
+
+// Summaries of sessions whose language is unknown are written in Portuguese,
+// like the chain's default history labels
+const DEFAULT_PROMPT = DEFAULT_TEMPLATES.find(
+  template => template.language === 'pt'
+)
+
+const ROLES = { human: HumanMessage, ai: AIMessage }
+
+function messageText(content) {
+  if (typeof content === 'string') return content
+  return content.map(part => part.text || '').join('')
+}
+
+/**
+ * LangChain view of one stored session, as RunnableWithMessageHistory
+ * expects it. The running summary, if any, comes first as a system message.
+ * `prompt` is the selected prompt template whose summarize prompt and labels
+ * are used when adding messages trims the session.
+ */
+export class SessionChatHistory extends BaseListChatMessageHistory {
+  constructor(manager, sessionId, prompt = null) {
+    super()
+    this.manager = manager
+    this.sessionId = sessionId
+    this.prompt = prompt
+    this.lc_namespace = ['docs-lm', 'history']
+  }
+
+  usePrompt(prompt) {
+    this.prompt = prompt
+  }
+
+  async getMessages() {
+    return await this.manager.getMessages(this.sessionId)
+  }
+
+  async addMessage(message) {
+    await this.addMessages([message])
+  }
+
+  async addMessages(messages) {
+    await this.manager.addMessages(this.sessionId, messages, this.prompt)
+  }
+
+  async clear() {
+    await this.manager.deleteSession(this.sessionId)
+  }
+}
+
+/**
+ * Owns chat sessions on top of a history store: expires sessions idle for
+ * longer than `ttl` (ms, 0 keeps them forever) and, once a session holds
+ * more than `maxMessages`, folds the oldest turns into a running summary
+ * written by the LLM (or just drops them when `summarize` is off).
+ */
+export class SessionManager {
+  constructor(store, options = {}) {
+    this.store = store
+    this.ttl = options.ttl || 0
+    this.maxMessages = options.maxMessages || 0
+    this.summarize = options.summarize ?? true
+    this.llmService = options.llmService || null
+    // Updates of one session run one after another
+    this.pending = new Map()
+  }
+
+  async initialize() {
+    await this.store.initialize()
+    return this
+  }
+
+  getHistory(sessionId, prompt = null) {
+    return new SessionChatHistory(this, sessionId, prompt)
+  }
+
+  isExpired(session, now = Date.now()) {
+    return this.ttl > 0 && now - session.updatedAt > this.ttl
+  }
+
+  // Returns the stored session, or null when missing or expired
+  async getSession(sessionId) {
+    const session = await this.store.getSession(sessionId)
+    if (session && this.isExpired(session)) {
+      await this.store.deleteSession(sessionId)
+      return null
+    }
+    return session
+  }
+
+  async getMessages(sessionId) {
+    const session = await this.getSession(sessionId)
+    if (!session) return []
+
+    const messages = session.messages.map(
+      ({ role, content }) => new ROLES[role](content)
+    )
+    return session.summary
+      ? [new SystemMessage(session.summary), ...messages]
+      : messages
+  }
+
+  async addMessages(sessionId, messages, prompt = null) {
+    await this.withSession(sessionId, async () => {
+      const now = Date.now()
+      const session = (await this.getSession(sessionId)) || {
+        sessionId,
+        summary: null,
+        messages: [],
+        createdAt: now,
+        updatedAt: now
+      }
+
+      for (const message of messages) {
+        const role = message.getType()
+        if (!ROLES[role]) continue
+        session.messages.push({ role, content: messageText(message.content) })
+      }
+      await this.compact(session, prompt)
+      session.updatedAt = now
+      await this.store.saveSession(session)
+    })
+  }
+
+  // Keeps the newest half of maxMessages verbatim, in whole turns
+  async compact(session, prompt = null) {
+    if (!this.maxMessages || session.messages.length <= this.maxMessages) {
+      return
+    }
+
+    const half = Math.floor(this.maxMessages / 2)
+    const keep = half - (half % 2)
+    const dropped = session.messages.slice(0, session.messages.length - keep)
+    session.messages = session.messages.slice(dropped.length)
+    if (!this.summarize || !this.llmService) return
+
+    try {
+      session.summary = await this.summarizeTurns(
+        session.summary,
+        dropped,
+        prompt
+      )
+      console.log(
+        `Summarized ${dropped.length} messages of session ${session.sessionId}`
+      )
+    } catch (error) {
+      console.error('Error summarizing chat history:', error.message)
+    }
+  }
+
+  // The summary is written in the prompt template's language, with its role
+  // names in the transcript
+  async summarizeTurns(summary, messages, prompt = null) {
+    const { summarize, labels } = prompt?.summarize ? prompt : DEFAULT_PROMPT
+    const transcript = messages
+      .map(({ role, content }) => `${labels[role] || role}: ${content}`)
+      .join('\n')
+    // One pass with a replacer, so `$&` or a literal `{messages}` in the
+    // summary or the turns is kept as written
+    const values = { summary: summary || labels.empty, messages: transcript }
+    const content = await this.llmService.invoke(
+      summarize.replace(
+        /\{(summary|messages)\}/g,
+        (match, name) => values[name]
+      )
+    )
+    return messageText(content).trim() || summary
+  }
+
+  // Returns `{ sessionId, messages, summarized, createdAt, updatedAt }`
+  // for live sessions, most recently used first
+  async listSessions() {
+    await this.pruneExpired()
+    const sessions = await this.store.listSessions()
+    return sessions
+      .sort((a, b) => b.updatedAt - a.updatedAt)
+      .map(session => ({
+        sessionId: session.sessionId,
+        messages: session.messages.length,
+        summarized: Boolean(session.summary),
+        createdAt: new Date(session.createdAt).toISOString(),
+        updatedAt: new Date(session.updatedAt).toISOString()
+      }))
+  }
+
+  // Returns true when the session existed
+  async deleteSession(sessionId) {
+    return await this.withSession(sessionId, () =>
+      this.store.deleteSession(sessionId)
+    )
+  }
+
+  // Deletes expired sessions; returns how many were removed
+  async pruneExpired() {
+    if (!this.ttl) return 0
+
+    const now = Date.now()
+    let removed = 0
+    for (const session of await this.store.listSessions()) {
+      if (!this.isExpired(session, now)) continue
+      if (await this.deleteSession(session.sessionId)) removed++
+    }
+    if (removed > 0) console.log(`Removed ${removed} expired chat sessions`)
+    return removed
+  }
+
+  async withSession(sessionId, update) {
+    const previous = this.pending.get(sessionId) || Promise.resolve()
+    const next = previous.catch(() => {}).then(update)
+    this.pending.set(sessionId, next)
+    try {
+      return await next
+    } finally {
+      if (this.pending.get(sessionId) === next) this.pending.delete(sessionId)
+    }
+  }
+}
@@ -1,53 +1,25 @@
 import { ChatAnthropic } from '@langchain/anthropic'
+import { BaseLLMService } from './baseLLMService.js'
 
-export class AnthropicService {
-  get llm() {
-    return this._llm
-  }
-
-  constructor() {
+export class AnthropicService extends BaseLLMService {
+  constructor(options = {}) {
+    super({
+      ...options,
+      provider: 'anthropic',
+      model: options.model || 'claude-3-5-sonnet-20241022'
+    })
+    this.apiKey = options.apiKey || process.env.ANTHROPIC_API_KEY
     this._llm = new ChatAnthropic({
-      modelName: 'claude-3-5-sonnet-20241022',
-      apiKey: process.env.ANTHROPIC_API_KEY,
-      temperature: 0.1,
-      maxTokens: 2000
+      modelName: this.model,
+      apiKey: this.apiKey,
+      temperature: this.temperature,
+      maxTokens: this.maxTokens
     })
   }
 
   async checkConfig() {
-    if (!process.env.ANTHROPIC_API_KEY) {
+    if (!this.apiKey) {
       throw new Error('ANTHROPIC_API_KEY environment variable is required')
     }
   }
-
-  async initialize() {
-    try {
-      console.log('Initializing Anthropic LLM...')
-      this.checkConfig()
-      await this._llm.invoke('Hello')
-      console.log('Anthropic LLM initialized successfully')
-    } catch (error) {
-      console.error('Error initializing Anthropic LLM:', error.message)
-      throw error
-    }
-  }
-
-  async invoke(prompt) {
-    try {
-      const response = await this._llm.invoke(prompt)
-      return response.content
-    } catch (error) {
-      console.error('Error invoking LLM:', error.message)
-      throw error
-    }
-  }
-
-  async stream(prompt) {
-    try {
-      return await this._llm.stream(prompt)
-    } catch (error) {
-      console.error('Error streaming from LLM:', error.message)
-      throw error
-    }
-  }
 }
@@ -0,0 +1,53 @@
+export class BaseLLMService {
+  get llm() {
+    return this._llm
+  }
+
+  constructor(options = {}) {
+    this.provider = options.provider
+    this.model = options.model
+    this.temperature = options.temperature ?? 0.1
+    this.maxTokens = options.maxTokens ?? 2000
+    this._llm = null
+  }
+
+  async checkConfig() {}
+
+  // Sends a minimal prompt so bad credentials or endpoints fail at startup
+  async checkConnection() {
+    await this._llm.invoke('Hello')
+  }
+
+  async initialize() {
+    try {
+      console.log(
+        `Initializing ${this.provider} LLM. Model: ${this.model || 'default'}`
+      )
+      await this.checkConfig()
+      await this.checkConnection()
+      console.log(`${this.provider} LLM initialized successfully`)
+    } catch (error) {
+      console.error(`Error initializing ${this.provider} LLM:`, error.message)
+      throw error
+    }
+  }
+
+  async invoke(prompt) {
+    try {
+      const response = await this._llm.invoke(prompt)
+      return response.content
+    } catch (error) {
+      console.error('Error invoking LLM:', error.message)
+      throw error
+    }
+  }
+
+  async stream(prompt) {
+    try {
+      return await this._llm.stream(prompt)
+    } catch (error) {
+      console.error('Error streaming from LLM:', error.message)
+      throw error
+    }
+  }
+}
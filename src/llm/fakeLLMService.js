@@ -0,0 +1,61 @@
+import { SimpleChatModel } from '@langchain/core/language_models/chat_models'
+import { AIMessageChunk } from '@langchain/core/messages'
+import { ChatGenerationChunk } from '@langchain/core/outputs'
+import { BaseLLMService } from './baseLLMService.js'
+
+/**
+ * Deterministic chat model for tests and offline development.
+ * Cycles through fixed responses, or echoes the last prompt line.
+ */
+export class FakeChatModel extends SimpleChatModel {
+  static lc_name() {
+    return 'FakeChatModel'
+  }
+
+  constructor(options = {}) {
+    super({})
+    this.responses = options.responses || []
+    this.calls = 0
+  }
+
+  _llmType() {
+    return 'fake'
+  }
+
+  nextResponse(messages) {
+    if (this.responses.length > 0) {
+      return this.responses[this.calls++ % this.responses.length]
+    }
+
+    this.calls++
+    const prompt = messages.map(message => message.content).join('\n')
+    const lastLine = prompt.trim().split('\n').pop()
+    return `Fake answer to: ${lastLine}`
+  }
+
+  async _call(messages) {
+    return this.nextResponse(messages)
+  }
+
+  async *_streamResponseChunks(messages, options, runManager) {
+    const response = this.nextResponse(messages)
+    for (const token of response.split(/(?<= )/)) {
+      if (options.signal?.aborted) throw new Error('AbortError')
+
+      yield new ChatGenerationChunk({
+        text: token,
+        message: new AIMessageChunk({ content: token })
+      })
+      await runManager?.handleLLMNewToken(token)
+    }
+  }
+}
+
+export class FakeLLMService extends BaseLLMService {
+  constructor(options = {}) {
+    super({ ...options, provider: 'fake', model: options.model || 'fake' })
+    this._llm = new FakeChatModel({ responses: options.responses })
+  }
+
+  async checkConnection() {}
+}
@@ -0,0 +1,65 @@
+import { AnthropicService } from './anthropicService.js'
+import { OpenAICompatibleService } from './openAICompatibleService.js'
+import { FakeLLMService } from './fakeLLMService.js'
+
+const providers = new Map()
+
+export function registerLLMProvider(name, factory) {
+  if (typeof factory !== 'function') {
+    throw new Error(`LLM provider "${name}" must be registered with a factory`)
+  }
+  providers.set(name.toLowerCase(), factory)
+}
+
+export function getLLMProviders() {
+  return [...providers.keys()]
+}
+
+function parseNumber(value) {
+  if (value === undefined || value === '') return undefined
+  const number = Number(value)
+  return Number.isNaN(number) ? undefined : number
+}
+
+// Explicit options win over LLM_* environment variables
+export function resolveLLMConfig(options = {}) {
+  return {
+    ...options,
+    provider: (
+      options.provider ||
+      process.env.LLM_PROVIDER ||
+      'anthropic'
+    ).toLowerCase(),
+    model: options.model || process.env.LLM_MODEL || undefined,
+    temperature:
+      options.temperature ?? parseNumber(process.env.LLM_TEMPERATURE),
+    maxTokens: options.maxTokens ?? parseNumber(process.env.LLM_MAX_TOKENS)
+  }
+}
+
+export function createLLMService(options = {}) {
+  const config = resolveLLMConfig(options)
+  const factory = providers.get(config.provider)
+
+  if (!factory) {
+    throw new Error(
+      `Unknown LLM provider "${config.provider}". Available: ${getLLMProviders().join(', ')}`
+    )
+  }
+  return factory(config)
+}
+
+registerLLMProvider('anthropic', options => new AnthropicService(options))
+registerLLMProvider('openai', options => new OpenAICompatibleService(options))
+registerLLMProvider(
+  'ollama',
+  options =>
+    new OpenAICompatibleService({
+      ...options,
+      baseURL:
+        options.baseURL ||
+        process.env.LLM_BASE_URL ||
+        'http://localhost:11434/v1'
+    })
+)
+registerLLMProvider('fake', options => new FakeLLMService(options))
@@ -0,0 +1,37 @@
+import { ChatOpenAI } from '@langchain/openai'
+import { BaseLLMService } from './baseLLMService.js'
+
+/**
+ * Chat model for the OpenAI API or any server implementing its
+ * chat completions endpoint (Ollama, llama.cpp, vLLM, LM Studio)
+ */
+export class OpenAICompatibleService extends BaseLLMService {
+  constructor(options = {}) {
+    super({
+      ...options,
+      provider: options.provider || 'openai',
+      model: options.model || 'gpt-4o-mini'
+    })
+    this.baseURL = options.baseURL || process.env.LLM_BASE_URL
+    // Local servers usually accept any key, but the client requires one
+    this.apiKey =
+      options.apiKey ||
+      process.env.OPENAI_API_KEY ||
+      (this.baseURL ? 'not-needed' : undefined)
+    this._llm = new ChatOpenAI({
+      model: this.model,
+      apiKey: this.apiKey,
+      temperature: this.temperature,
+      maxTokens: this.maxTokens,
+      configuration: this.baseURL ? { baseURL: this.baseURL } : undefined
+    })
+  }
+
+  async checkConfig() {
+    if (!this.apiKey) {
+      throw new Error(
+        'OPENAI_API_KEY environment variable is required unless LLM_BASE_URL points to a local server'
+      )
+    }
+  }
+}
@@ -1,28 +1,77 @@
-import { DirectoryLoader } from 'langchain/document_loaders/fs/directory'
-import { TextLoader } from 'langchain/document_loaders/fs/text'
-import { MarkdownTextSplitter } from '@langchain/textsplitters'
+import fs from 'fs'
+import path from 'path'
+import {
+  getLoader,
+  getSplitter,
+  resolveLoaderConfig
+} from './loaderRegistry.js'
+import { createGlobMatcher } from './globMatcher.js'
 
+export class UnsupportedDocumentError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'UnsupportedDocumentError'
+  }
+}
+
+// The data directory as an absolute path: `dataPath`, else DATA_PATH, else
+// ./data
+export function resolveDataPath(dataPath) {
+  return path.resolve(dataPath || process.env.DATA_PATH || 'data')
+}
+
+// Dotfiles and dot-directories (.git, .docs-lm) are never indexed
+const isHidden = relativePath =>
+  relativePath.split(path.sep).some(part => part.startsWith('.'))
+
+// Files below `dir`, skipping hidden directories instead of walking them
+async function listFiles(dir) {
+  const files = []
+  for (const entry of await fs.promises.readdir(dir, { withFileTypes: true })) {
+    if (entry.name.startsWith('.')) continue
+    const entryPath = path.join(dir, entry.name)
+    if (entry.isDirectory()) files.push(...(await listFiles(entryPath)))
+    else if (entry.isFile()) files.push(entryPath)
+  }
+  return files
+}
+
+/**
+ * Loads the files of the data directory that have a registered loader and
+ * match the include/exclude globs, and splits each with the splitter of its
+ * format (see loaderRegistry.js).
+ */
 export class DocumentLoader {
-  constructor(dataPath = process.env.DATA_PATH) {
-    this.dataPath = dataPath
-    this.splitter = new MarkdownTextSplitter({
-      chunkSize: 1200,
-      chunkOverlap: 200,
-      separators: ['\n## ', '\n### ', '\n#### ', '\n\n', '\n', ' ', '']
-    })
+  constructor(dataPath, options = {}) {
+    this.dataPath = resolveDataPath(dataPath)
+    this.config = resolveLoaderConfig(options)
+    this.matches = createGlobMatcher(this.config.include, this.config.exclude)
+    // Format -> splitter instance
+    this.splitters = new Map()
   }
 
-  async loadDocuments() {
+  // A file that fails to load is skipped so the others still get indexed;
+  // its path is added to `options.failed` (a Set) when given
+  async loadDocuments(options = {}) {
+    const { failed = new Set() } = options
     console.log(`Loading documents from: ${this.dataPath}`)
-    const isRecursive = true
     try {
-      const loader = new DirectoryLoader(
-        this.dataPath,
-        { '.md': path => new TextLoader(path) },
-        isRecursive
+      const files = (await listFiles(this.dataPath)).sort()
+      const documents = []
+      let failures = 0
+
+      for (const file of files.filter(file => this.supports(file))) {
+        try {
+          documents.push(...(await this.loadFile(file)))
+        } catch (error) {
+          failed.add(path.resolve(file))
+          failures++
+        }
+      }
+
+      console.log(
+        `Loaded ${documents.length} documents${failures ? ` (${failures} files failed)` : ''}`
       )
-      const documents = await loader.load()
-      console.log(`Loaded ${documents.length} documents`)
       return documents
     } catch (error) {
       console.error('Error loading documents:', error.message)
@@ -30,10 +79,68 @@ export class DocumentLoader {
     }
   }
 
+  // Whether a scan of the data directory picks up this file
+  supports(filePath) {
+    const relative = path.relative(this.dataPath, path.resolve(filePath))
+    return (
+      Boolean(getLoader(filePath)) &&
+      !isHidden(relative) &&
+      this.matches(relative)
+    )
+  }
+
+  // Sources are absolute paths, so a file loaded on its own or in a scan
+  // maps to the same chunks
+  async loadFile(filePath) {
+    const source = path.resolve(filePath)
+    const load = getLoader(source)
+    if (!load) {
+      throw new UnsupportedDocumentError(
+        `Unsupported document type: ${filePath}`
+      )
+    }
+
+    try {
+      return await load(source)
+    } catch (error) {
+      console.error(`Error loading document ${filePath}:`, error.message)
+      throw error
+    }
+  }
+
+  getSplitter(format) {
+    const definition = getSplitter(format)
+    if (!this.splitters.has(definition)) {
+      const { chunkSize, chunkOverlap, headingPrefix, frontMatterFields } =
+        this.config
+      this.splitters.set(
+        definition,
+        definition.create({
+          chunkSize,
+          chunkOverlap,
+          headingPrefix,
+          frontMatterFields
+        })
+      )
+    }
+    return {
+      splitter: this.splitters.get(definition),
+      lines: definition.lines
+    }
+  }
+
   async splitDocuments(documents) {
     try {
       console.log('Splitting documents into chunks...')
-      const chunks = await this.splitter.splitDocuments(documents)
+      const chunks = []
+      for (const document of documents) {
+        const { splitter, lines } = this.getSplitter(document.metadata.format)
+        const pieces = await splitter.splitDocuments([document])
+        if (!lines) {
+          for (const piece of pieces) delete piece.metadata.loc?.lines
+        }
+        chunks.push(...pieces)
+      }
       console.log(
         `Created ${chunks.length} chunks from ${documents.length} documents`
       )
@@ -0,0 +1,57 @@
+import path from 'path'
+
+const escape = text => text.replace(/[.+^$()|[\]\\]/g, '\\$&')
+
+/**
+ * Compiles a glob into a regular expression. Supports `**` (any number of
+ * directories), `*`, `?` and `{a,b}`; paths use forward slashes.
+ */
+export function globToRegExp(glob) {
+  let pattern = ''
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i]
+    if (char === '*' && glob[i + 1] === '*') {
+      // "**/" also matches no directory at all
+      const slash = glob[i + 2] === '/'
+      pattern += slash ? '(?:.*/)?' : '.*'
+      i += slash ? 2 : 1
+    } else if (char === '*') {
+      pattern += '[^/]*'
+    } else if (char === '?') {
+      pattern += '[^/]'
+    } else if (char === '{' && glob.indexOf('}', i) > i) {
+      const end = glob.indexOf('}', i)
+      const options = glob
+        .slice(i + 1, end)
+        .split(',')
+        .map(escape)
+      pattern += `(?:${options.join('|')})`
+      i = end
+    } else {
+      pattern += escape(char)
+    }
+  }
+  return new RegExp(`^${pattern}$`)
+}
+
+// Patterns with a slash match the path relative to the data directory,
+// others just the file name (like .gitignore). No include patterns means
+// every file is included
+export function createGlobMatcher(include = [], exclude = []) {
+  const compile = globs =>
+    globs.map(glob => ({
+      byName: !glob.includes('/'),
+      regex: globToRegExp(glob)
+    }))
+  const includes = compile(include)
+  const excludes = compile(exclude)
+
+  return relativePath => {
+    const normalized = relativePath.split(path.sep).join('/')
+    const name = path.posix.basename(normalized)
+    const test = ({ byName, regex }) => regex.test(byName ? name : normalized)
+    return (
+      (includes.length === 0 || includes.some(test)) && !excludes.some(test)
+    )
+  }
+}
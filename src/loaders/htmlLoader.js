@@ -0,0 +1,70 @@
+import fs from 'fs'
+import { Document } from '@langchain/core/documents'
+
+const DROPPED = /<(script|style|noscript|template|svg|head)\b[\s\S]*?<\/\1>/gi
+const BLOCK =
+  /<\/?(?:p|div|section|article|main|header|footer|nav|aside|table|thead|tbody|tr|ul|ol|dl|dd|dt|blockquote|figure|figcaption|br|hr)\b[^>]*>/gi
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' }
+
+function decodeEntities(text) {
+  return text.replace(/&(#x?[\da-f]+|\w+);/gi, (entity, name) => {
+    if (name[0] !== '#') return ENTITIES[name.toLowerCase()] ?? entity
+    const code =
+      name[1].toLowerCase() === 'x'
+        ? parseInt(name.slice(2), 16)
+        : parseInt(name.slice(1), 10)
+    return Number.isNaN(code) ? entity : String.fromCodePoint(code)
+  })
+}
+
+const stripTags = html => decodeEntities(html.replace(/<[^>]+>/g, ''))
+const inline = html => stripTags(html).replace(/\s+/g, ' ').trim()
+
+/**
+ * Converts an HTML page to Markdown-like text: headings become `#` lines
+ * (so heading paths and the Markdown splitter work), list items `-` lines
+ * and `<pre>` blocks fenced code with their whitespace intact. Scripts,
+ * styles and other tags are dropped.
+ */
+export function htmlToText(html) {
+  const codeBlocks = []
+  const text = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(DROPPED, '')
+    .replace(/<pre\b[^>]*>([\s\S]*?)<\/pre>/gi, (match, code) => {
+      codeBlocks.push(stripTags(code).replace(/^\n+|\s+$/g, ''))
+      return `\n\n@@code-${codeBlocks.length - 1}@@\n\n`
+    })
+    .replace(
+      /<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi,
+      (match, level, content) =>
+        `\n\n${'#'.repeat(Number(level))} ${inline(content)}\n\n`
+    )
+    .replace(/<li\b[^>]*>/gi, '\n- ')
+    .replace(BLOCK, '\n')
+
+  return stripTags(text)
+    .split('\n')
+    .map(line => line.replace(/[ \t]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .replace(/@@code-(\d+)@@/g, (match, index) => {
+      return '```\n' + codeBlocks[Number(index)] + '\n```'
+    })
+    .trim()
+}
+
+export async function loadHtml(filePath) {
+  const html = await fs.promises.readFile(filePath, 'utf8')
+  const title = /<title\b[^>]*>([\s\S]*?)<\/title>/i.exec(html)
+  return [
+    new Document({
+      pageContent: htmlToText(html),
+      metadata: {
+        source: filePath,
+        format: 'html',
+        ...(title && { title: inline(title[1]) })
+      }
+    })
+  ]
+}
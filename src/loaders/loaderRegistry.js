@@ -0,0 +1,187 @@
+import fs from 'fs'
+import { createRequire } from 'module'
+import path from 'path'
+import { Document } from '@langchain/core/documents'
+import { RecursiveCharacterTextSplitter } from '@langchain/textsplitters'
+import { loadHtml } from './htmlLoader.js'
+import { loadJson } from './openApiLoader.js'
+import {
+  DEFAULT_FRONT_MATTER_FIELDS,
+  MarkdownChunker
+} from './markdownChunker.js'
+
+// Extension -> { load: async (filePath) => documents with metadata.source
+// and format, requires: optional package the loader needs }
+const loaders = new Map()
+// Optional package -> whether it is installed, checked once
+const installed = new Map()
+const require = createRequire(import.meta.url)
+// Format -> { create(options) => splitter, lines }
+const splitters = new Map()
+
+// MDX import/export statements are blanked so line numbers still match
+const MDX_STATEMENT = /^(?:import|export)\s.*$/gm
+
+// `requires` names an optional package; without it the extensions are
+// skipped, with a single warning
+export function registerLoader(extensions, load, options = {}) {
+  if (typeof load !== 'function') {
+    throw new Error(`Loader for ${extensions} must be a function`)
+  }
+  for (const extension of [].concat(extensions)) {
+    loaders.set(extension.toLowerCase(), { load, requires: options.requires })
+  }
+}
+
+function isInstalled(name, extension) {
+  if (!installed.has(name)) {
+    try {
+      require.resolve(name)
+      installed.set(name, true)
+    } catch (error) {
+      installed.set(name, false)
+      console.warn(
+        `Skipping ${extension} files: install the optional "${name}" package to index them`
+      )
+    }
+  }
+  return installed.get(name)
+}
+
+// `lines: false` drops line ranges for formats whose text is generated
+// (HTML, OpenAPI), where they would not match the file
+export function registerSplitter(format, create, options = {}) {
+  if (typeof create !== 'function') {
+    throw new Error(`Splitter "${format}" must be registered with a factory`)
+  }
+  splitters.set(format, { create, lines: options.lines ?? true })
+}
+
+export function getLoaders() {
+  return [...loaders.keys()]
+}
+
+export function getLoader(filePath) {
+  const extension = path.extname(filePath).toLowerCase()
+  const loader = loaders.get(extension)
+  if (
+    !loader ||
+    (loader.requires && !isInstalled(loader.requires, extension))
+  ) {
+    return null
+  }
+  return loader.load
+}
+
+// Unknown formats are split as plain text
+export function getSplitter(format) {
+  return splitters.get(format) || splitters.get('text')
+}
+
+// Explicit options win over DOCS_INCLUDE / DOCS_EXCLUDE (comma-separated
+// globs) and the CHUNK_* settings. Without include patterns every file with
+// a loader is indexed
+export function resolveLoaderConfig(options = {}) {
+  const fromEnv = name => {
+    const value = process.env[name]
+    if (!value) return undefined
+    return value
+      .split(',')
+      .map(item => item.trim())
+      .filter(Boolean)
+  }
+  const overlap = parseInt(process.env.CHUNK_OVERLAP)
+
+  return {
+    ...options,
+    include: options.include || fromEnv('DOCS_INCLUDE') || [],
+    exclude: options.exclude || fromEnv('DOCS_EXCLUDE') || [],
+    chunkSize: options.chunkSize || parseInt(process.env.CHUNK_SIZE) || 1200,
+    chunkOverlap:
+      options.chunkOverlap ?? (Number.isNaN(overlap) ? 200 : overlap),
+    headingPrefix:
+      options.headingPrefix ?? process.env.CHUNK_HEADING_PREFIX === 'true',
+    frontMatterFields:
+      options.frontMatterFields ||
+      fromEnv('FRONT_MATTER_FIELDS') ||
+      DEFAULT_FRONT_MATTER_FIELDS
+  }
+}
+
+function textLoader(format, transform = text => text) {
+  return async filePath => {
+    const text = await fs.promises.readFile(filePath, 'utf8')
+    return [
+      new Document({
+        pageContent: transform(text),
+        metadata: { source: filePath, format }
+      })
+    ]
+  }
+}
+
+// One document per page
+async function loadPdf(filePath) {
+  const { PDFLoader } =
+    await import('@langchain/community/document_loaders/fs/pdf')
+  const pages = await new PDFLoader(filePath, { splitPages: true }).load()
+  return pages.map(
+    page =>
+      new Document({
+        pageContent: page.pageContent,
+        metadata: {
+          source: filePath,
+          format: 'pdf',
+          totalPages: page.metadata.pdf?.totalPages ?? null,
+          loc: { pageNumber: page.metadata.loc?.pageNumber }
+        }
+      })
+  )
+}
+
+// Extension -> language understood by RecursiveCharacterTextSplitter
+const CODE_LANGUAGES = {
+  js: ['.js', '.mjs', '.cjs', '.jsx', '.ts', '.tsx'],
+  python: ['.py'],
+  go: ['.go'],
+  java: ['.java'],
+  ruby: ['.rb'],
+  rust: ['.rs'],
+  php: ['.php'],
+  scala: ['.scala'],
+  swift: ['.swift'],
+  cpp: ['.c', '.h', '.cc', '.cpp', '.hpp'],
+  proto: ['.proto'],
+  sol: ['.sol']
+}
+
+registerLoader(['.md', '.markdown'], textLoader('markdown'))
+registerLoader(
+  '.mdx',
+  textLoader('markdown', text => text.replace(MDX_STATEMENT, ''))
+)
+registerLoader('.txt', textLoader('text'))
+registerLoader('.rst', textLoader('rst'))
+registerLoader(['.html', '.htm'], loadHtml)
+registerLoader('.pdf', loadPdf, { requires: 'pdf-parse' })
+registerLoader('.json', loadJson)
+for (const [language, extensions] of Object.entries(CODE_LANGUAGES)) {
+  registerLoader(extensions, textLoader(language))
+}
+
+// HTML and OpenAPI documents are converted to Markdown by their loaders.
+// An operation's Parameters and Responses sections stay with its heading
+const markdown = options => new MarkdownChunker(options)
+registerSplitter('markdown', markdown)
+registerSplitter('html', markdown, { lines: false })
+registerSplitter(
+  'openapi',
+  options => new MarkdownChunker({ ...options, mergeSubsections: true }),
+  { lines: false }
+)
+registerSplitter('text', options => new RecursiveCharacterTextSplitter(options))
+for (const language of ['rst', ...Object.keys(CODE_LANGUAGES)]) {
+  registerSplitter(language, options =>
+    RecursiveCharacterTextSplitter.fromLanguage(language, options)
+  )
+}
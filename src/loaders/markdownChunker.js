@@ -0,0 +1,381 @@
+import { Document } from '@langchain/core/documents'
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})/
+const ATX_HEADING = /^ {0,3}(#{1,6})\s+(.+?)(?:\s+#+)?\s*$/
+const SETEXT_UNDERLINE = /^ {0,3}(=+|-+)\s*$/
+const TABLE_DIVIDER = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/
+const FRONT_MATTER_FIELD = /^([\w-]+):\s*(.*)$/
+const FRONT_MATTER_ITEM = /^\s*-\s+(.*)$/
+
+export const DEFAULT_FRONT_MATTER_FIELDS = ['title', 'tags', 'version']
+
+const unquote = value => value.trim().replace(/^(['"])(.*)\1$/, '$2')
+
+// Top-level `key: value`, `key: [a, b]` and `key:` followed by `- item`
+// lines; nested mappings are ignored
+function parseFrontMatterFields(lines) {
+  const fields = {}
+  let listKey = null
+  for (const line of lines) {
+    if (!line.trim() || line.trimStart().startsWith('#')) continue
+    const item = listKey && FRONT_MATTER_ITEM.exec(line)
+    if (item) {
+      fields[listKey].push(unquote(item[1]))
+      continue
+    }
+
+    const field = FRONT_MATTER_FIELD.exec(line)
+    listKey = null
+    if (!field) continue
+    const [, key, value] = field
+    if (!value.trim()) {
+      fields[key] = []
+      listKey = key
+    } else if (/^\[.*\]$/.test(value.trim())) {
+      fields[key] = value
+        .trim()
+        .slice(1, -1)
+        .split(',')
+        .map(unquote)
+        .filter(Boolean)
+    } else {
+      fields[key] = unquote(value)
+    }
+  }
+  return fields
+}
+
+// A `---` block on the first line, closed by `---` or `...`. Returns the
+// fields and the number of lines it spans (0 without front matter)
+export function parseFrontMatter(lines) {
+  if (!/^---\s*$/.test(lines[0] || '')) return { fields: {}, length: 0 }
+  const end = lines.findIndex(
+    (line, i) => i > 0 && /^(---|\.\.\.)\s*$/.test(line)
+  )
+  if (end === -1) return { fields: {}, length: 0 }
+  return {
+    fields: parseFrontMatterFields(lines.slice(1, end)),
+    length: end + 1
+  }
+}
+
+const startsTable = (lines, i) =>
+  lines[i].includes('|') &&
+  i + 1 < lines.length &&
+  lines[i + 1].includes('|') &&
+  TABLE_DIVIDER.test(lines[i + 1])
+
+const startsBlock = (lines, i) =>
+  FENCE.test(lines[i]) || ATX_HEADING.test(lines[i]) || startsTable(lines, i)
+
+// Headings, fenced code, tables and paragraphs, each with its line range
+// (`offset` lines precede `lines` in the file) and the headings in effect
+function parseBlocks(lines, offset) {
+  const blocks = []
+  const stack = []
+  const block = (type, start, end, extra) => {
+    blocks.push({
+      type,
+      lines: lines.slice(start, end),
+      text: lines.slice(start, end).join('\n'),
+      from: offset + start + 1,
+      to: offset + end,
+      headingPath: stack.map(heading => heading.title),
+      ...extra
+    })
+  }
+  const enterHeading = (level, title) => {
+    while (stack.length > 0 && stack[stack.length - 1].level >= level) {
+      stack.pop()
+    }
+    stack.push({ level, title: title.trim() })
+  }
+
+  let i = 0
+  while (i < lines.length) {
+    const line = lines[i]
+    if (!line.trim()) {
+      i++
+      continue
+    }
+
+    const fence = FENCE.exec(line)
+    const heading = ATX_HEADING.exec(line)
+    if (fence) {
+      const marker = fence[1]
+      const close = new RegExp(`^ {0,3}${marker[0]}{${marker.length},}\\s*$`)
+      let end = i + 1
+      while (end < lines.length && !close.test(lines[end])) end++
+      // An unclosed fence runs to the end of the file
+      const closed = end < lines.length
+      block('code', i, closed ? end + 1 : end, { closed })
+      i = closed ? end + 1 : end
+    } else if (heading) {
+      enterHeading(heading[1].length, heading[2])
+      block('heading', i, i + 1)
+      i++
+    } else if (startsTable(lines, i)) {
+      let end = i + 2
+      while (end < lines.length && lines[end].includes('|')) end++
+      block('table', i, end)
+      i = end
+    } else if (i + 1 < lines.length && SETEXT_UNDERLINE.test(lines[i + 1])) {
+      enterHeading(lines[i + 1].trim()[0] === '=' ? 1 : 2, line)
+      block('heading', i, i + 2)
+      i += 2
+    } else {
+      let end = i + 1
+      while (
+        end < lines.length &&
+        lines[end].trim() &&
+        !startsBlock(lines, end)
+      ) {
+        end++
+      }
+      block('paragraph', i, end)
+      i = end
+    }
+  }
+  return blocks
+}
+
+// Groups `{ text, line }` entries into runs of at most `budget` characters;
+// a longer line is cut between words
+function packLines(entries, budget) {
+  const groups = []
+  let group = []
+  let size = 0
+  const push = entry => {
+    if (group.length > 0 && size + entry.text.length + 1 > budget) {
+      groups.push(group)
+      group = []
+      size = 0
+    }
+    group.push(entry)
+    size += entry.text.length + 1
+  }
+
+  for (const entry of entries) {
+    if (entry.text.length <= budget) {
+      push(entry)
+      continue
+    }
+    let rest = entry.text
+    while (rest.length > budget) {
+      const cut = rest.lastIndexOf(' ', budget)
+      const end = cut > 0 ? cut : budget
+      push({ text: rest.slice(0, end), line: entry.line })
+      rest = rest.slice(end).trimStart()
+    }
+    if (rest) push({ text: rest, line: entry.line })
+  }
+  if (group.length > 0) groups.push(group)
+  return groups
+}
+
+// Pieces of a block no longer than `chunkSize`. Oversized code blocks are
+// cut between lines and every piece re-fenced; oversized tables repeat
+// their header row
+function fitBlock(block, chunkSize) {
+  if (block.text.length <= chunkSize) return [block]
+
+  const entries = block.lines.map((text, i) => ({ text, line: block.from + i }))
+  let head = []
+  let body = entries
+  let tail = []
+  if (block.type === 'code') {
+    head = entries.slice(0, 1)
+    body = entries.slice(1, block.closed ? -1 : undefined)
+    tail = block.closed ? entries.slice(-1) : []
+  } else if (block.type === 'table') {
+    head = entries.slice(0, 2)
+    body = entries.slice(2)
+  }
+
+  const frame = [...head, ...tail].reduce(
+    (size, e) => size + e.text.length + 1,
+    0
+  )
+  const groups = packLines(body, Math.max(chunkSize - frame, 1))
+  return groups.map((group, i) => {
+    const first = i === 0
+    const last = i === groups.length - 1
+    return {
+      ...block,
+      lines: undefined,
+      text: [...head, ...group, ...tail].map(entry => entry.text).join('\n'),
+      from: first ? block.from : group[0].line,
+      to: last ? block.to : group[group.length - 1].line
+    }
+  })
+}
+
+// Blocks on consecutive lines are joined by a newline, others by a blank line
+function joinBlocks(blocks) {
+  return blocks
+    .map((block, i) => {
+      if (i === 0) return block.text
+      return (block.from === blocks[i - 1].to + 1 ? '\n' : '\n\n') + block.text
+    })
+    .join('')
+}
+
+// Blocks grouped by the heading that starts them; a heading directly
+// followed by another heading stays with it
+function groupSections(blocks) {
+  const sections = []
+  for (const block of blocks) {
+    const last = sections[sections.length - 1]
+    const headingsOnly =
+      last && last.blocks.every(previous => previous.type === 'heading')
+    if (!last || (block.type === 'heading' && !headingsOnly)) {
+      sections.push({ headingPath: block.headingPath, blocks: [block] })
+    } else {
+      last.blocks.push(block)
+      if (block.type === 'heading') last.headingPath = block.headingPath
+    }
+  }
+  return sections
+}
+
+const isWithin = (headingPath, parent) =>
+  headingPath.length > parent.length &&
+  parent.every((title, i) => headingPath[i] === title)
+
+/**
+ * Splits Markdown along its structure. Every chunk stays within one
+ * section, so its heading path names all of its text; with
+ * `mergeSubsections`, a chunk also takes in the following subsections
+ * while they fit whole and is cited by the parent heading. Fenced code
+ * blocks and tables are kept whole unless they alone exceed the chunk
+ * size, and paragraphs are packed up to `chunkSize` characters with up to
+ * `chunkOverlap` characters of trailing paragraphs repeated in the next
+ * chunk of the same section. Chunks record their heading path, line range
+ * and the configured front matter fields; `headingPrefix` also prepends
+ * the heading path ("Guide > Events") to the chunk text.
+ */
+export class MarkdownChunker {
+  constructor(options = {}) {
+    this.chunkSize = options.chunkSize || 1200
+    this.chunkOverlap = options.chunkOverlap ?? 200
+    this.headingPrefix = Boolean(options.headingPrefix)
+    this.mergeSubsections = Boolean(options.mergeSubsections)
+    this.frontMatterFields =
+      options.frontMatterFields || DEFAULT_FRONT_MATTER_FIELDS
+  }
+
+  // `{ text, headingPath, lines: { from, to } }` for each chunk, plus the
+  // front matter fields of the text
+  splitText(text) {
+    const lines = text.split('\n')
+    const frontMatter = parseFrontMatter(lines)
+    const blocks = parseBlocks(
+      lines.slice(frontMatter.length),
+      frontMatter.length
+    )
+
+    const chunks = []
+    let current = []
+    let headingPath = []
+    const fits = blocks =>
+      joinBlocks([...current, ...blocks]).length <= this.chunkSize
+    const flush = () => {
+      if (current.length > 0) chunks.push({ headingPath, blocks: current })
+      current = []
+    }
+
+    for (const section of groupSections(blocks)) {
+      if (
+        this.mergeSubsections &&
+        current.length > 0 &&
+        isWithin(section.headingPath, headingPath) &&
+        fits(section.blocks)
+      ) {
+        current.push(...section.blocks)
+        continue
+      }
+
+      flush()
+      headingPath = section.headingPath
+      for (const block of section.blocks) {
+        for (const piece of fitBlock(block, this.chunkSize)) {
+          // Headings stay with the content that follows them
+          const headingsOnly = current.every(item => item.type === 'heading')
+          if (!fits([piece]) && !headingsOnly) {
+            const overlap = this.overlapOf(current)
+            flush()
+            if (joinBlocks([...overlap, piece]).length <= this.chunkSize) {
+              current = overlap
+            }
+          }
+          current.push(piece)
+        }
+      }
+    }
+    flush()
+
+    return {
+      fields: frontMatter.fields,
+      chunks: chunks.map(({ headingPath, blocks }) => {
+        const body = joinBlocks(blocks)
+        return {
+          text:
+            this.headingPrefix && headingPath.length > 0
+              ? `${headingPath.join(' > ')}\n\n${body}`
+              : body,
+          headingPath,
+          lines: { from: blocks[0].from, to: blocks[blocks.length - 1].to }
+        }
+      })
+    }
+  }
+
+  // Trailing paragraphs of a chunk that fit in the overlap
+  overlapOf(blocks) {
+    const overlap = []
+    for (let i = blocks.length - 1; i >= 0; i--) {
+      const candidate = [blocks[i], ...overlap]
+      if (
+        blocks[i].type !== 'paragraph' ||
+        joinBlocks(candidate).length > this.chunkOverlap
+      ) {
+        break
+      }
+      overlap.unshift(blocks[i])
+    }
+    return overlap
+  }
+
+  // Lists are stored comma-separated, like other list metadata
+  frontMatterMetadata(fields) {
+    const metadata = {}
+    for (const name of this.frontMatterFields) {
+      const value = fields[name]
+      if (Array.isArray(value) ? value.length === 0 : !value) continue
+      metadata[name] = Array.isArray(value) ? value.join(', ') : value
+    }
+    return metadata
+  }
+
+  async splitDocuments(documents) {
+    const chunks = []
+    for (const document of documents) {
+      const { fields, chunks: pieces } = this.splitText(document.pageContent)
+      const frontMatter = this.frontMatterMetadata(fields)
+      for (const piece of pieces) {
+        chunks.push(
+          new Document({
+            pageContent: piece.text,
+            metadata: {
+              ...document.metadata,
+              ...frontMatter,
+              headingPath: piece.headingPath,
+              loc: { ...document.metadata.loc, lines: piece.lines }
+            }
+          })
+        )
+      }
+    }
+    return chunks
+  }
+}
@@ -0,0 +1,106 @@
+import fs from 'fs'
+import { Document } from '@langchain/core/documents'
+
+const METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch']
+
+export function isOpenApi(spec) {
+  return Boolean(
+    spec &&
+    typeof spec === 'object' &&
+    (spec.openapi || spec.swagger) &&
+    spec.paths
+  )
+}
+
+// "Pet", "array of Pet" or the plain type; schemas are not expanded
+function describeSchema(schema = {}) {
+  if (schema.$ref) return schema.$ref.split('/').pop()
+  if (schema.type === 'array') return `array of ${describeSchema(schema.items)}`
+  return schema.type || 'object'
+}
+
+function describeOperation(route, method, operation, sharedParameters) {
+  const parameters = [...sharedParameters, ...(operation.parameters || [])]
+  const lines = [`# ${method.toUpperCase()} ${route}`, '']
+  if (operation.summary) lines.push(operation.summary, '')
+  if (operation.description) lines.push(operation.description, '')
+
+  if (parameters.length > 0) {
+    lines.push('## Parameters', '')
+    for (const parameter of parameters) {
+      const name = parameter.$ref
+        ? parameter.$ref.split('/').pop()
+        : `${parameter.name} (${parameter.in}${parameter.required ? ', required' : ''})`
+      lines.push(
+        `- ${name}${parameter.description ? `: ${parameter.description}` : ''}`
+      )
+    }
+    lines.push('')
+  }
+
+  const body = operation.requestBody
+  if (body) {
+    lines.push('## Request body', '')
+    if (body.description) lines.push(body.description)
+    for (const [type, media] of Object.entries(body.content || {})) {
+      lines.push(`- ${type}: ${describeSchema(media.schema)}`)
+    }
+    lines.push('')
+  }
+
+  const responses = Object.entries(operation.responses || {})
+  if (responses.length > 0) {
+    lines.push('## Responses', '')
+    for (const [status, response] of responses) {
+      lines.push(`- ${status}: ${response.description || ''}`.trim())
+    }
+  }
+  return lines.join('\n').trim()
+}
+
+/**
+ * One document per operation ("GET /pets/{id}") with its summary,
+ * parameters, request body and responses, so a question about an endpoint
+ * retrieves that endpoint rather than a slice of the whole spec.
+ */
+export function splitOpenApi(spec, source) {
+  const documents = []
+  for (const [route, item] of Object.entries(spec.paths)) {
+    for (const method of METHODS.filter(method => item?.[method])) {
+      const operation = item[method]
+      documents.push(
+        new Document({
+          pageContent: describeOperation(
+            route,
+            method,
+            operation,
+            item.parameters || []
+          ),
+          metadata: {
+            source,
+            format: 'openapi',
+            api: spec.info?.title || null,
+            method: method.toUpperCase(),
+            path: route,
+            operationId: operation.operationId || null,
+            tags: (operation.tags || []).join(', ')
+          }
+        })
+      )
+    }
+  }
+  return documents
+}
+
+// OpenAPI specs are split per operation; any other JSON (package.json,
+// lockfiles, fixtures) loads no documents and is not indexed
+export async function loadJson(filePath) {
+  const text = await fs.promises.readFile(filePath, 'utf8')
+  let spec = null
+  try {
+    spec = JSON.parse(text)
+  } catch (error) {
+    return []
+  }
+  return isOpenApi(spec) ? splitOpenApi(spec, filePath) : []
+}
@@ -1,12 +1,305 @@
 import dotenv from 'dotenv'
+import path from 'path'
+import { v4 as uuidv4 } from 'uuid'
+import { DocumentProcessor } from './services/documentProcessor.js'
+import { RAGService } from './services/ragService.js'
+import { resolveDataPath } from './loaders/documentLoader.js'
+import { resolveSearchDefaults } from './vectorStore/baseVectorStore.js'
+import { resolveSourceFilter } from './vectorStore/metadataFilter.js'
 
 dotenv.config()
 
 class DocsLM {
-  constructor() {
-    // TODO
+  constructor(config = {}) {
+    this.config = {
+      dataPath: config.dataPath || process.env.DATA_PATH,
+      persistent:
+        config.persistent ?? process.env.USE_PERSISTENT_STORAGE === 'true',
+      persistPath: config.persistPath || process.env.CHROMA_PERSIST_PATH,
+      collectionName:
+        config.collectionName || process.env.CHROMA_COLLECTION_NAME,
+      vectorStore: config.vectorStore || process.env.VECTOR_STORE,
+      chromaUrl: config.chromaUrl || process.env.CHROMA_URL,
+      index: { ...config.index },
+      searchType: config.searchType || process.env.SEARCH_TYPE,
+      searchDefaults: resolveSearchDefaults(config),
+      rewriteQuestions: config.rewriteQuestions,
+      llm: { ...config.llm },
+      reranker: { ...config.reranker },
+      history: { ...config.history },
+      prompts: { ...config.prompts },
+      embeddings: { ...config.embeddings },
+      loaders: { ...config.loaders }
+    }
+    this.processor = null
+    this.ragService = null
+    this.processorReady = null
+    this.ragReady = null
+  }
+
+  // Document processing does not need the LLM, so each half starts lazily
+  async initialize() {
+    if (!this.processorReady) {
+      this.processorReady = this.initializeProcessor()
+    }
+
+    try {
+      await this.processorReady
+      return this
+    } catch (error) {
+      this.processorReady = null
+      throw error
+    }
+  }
+
+  async initializeProcessor() {
     console.log('Initializing DocsLM...')
+    const processor = new DocumentProcessor({
+      dataPath: this.config.dataPath,
+      persistent: this.config.persistent,
+      persistPath: this.config.persistPath,
+      collectionName: this.config.collectionName,
+      vectorStore: this.config.vectorStore,
+      chromaUrl: this.config.chromaUrl,
+      index: this.config.index,
+      embeddings: this.config.embeddings,
+      loaders: this.config.loaders
+    })
+    await processor.initialize()
+    this.processor = processor
+  }
+
+  async initializeRAG() {
+    await this.initialize()
+
+    if (!this.ragReady) {
+      this.ragReady = (async () => {
+        const ragService = new RAGService(this.processor.getChromaStore(), {
+          llm: this.config.llm,
+          searchType: this.config.searchType,
+          ...this.config.searchDefaults,
+          rewriteQuestions: this.config.rewriteQuestions,
+          reranker: this.config.reranker,
+          history: { dataPath: this.config.dataPath, ...this.config.history },
+          prompts: this.config.prompts,
+          embeddingService: this.processor.embeddingService
+        })
+        await ragService.initialize(this.config.persistent)
+        ragService.invalidateCacheOn(this.processor)
+        this.ragService = ragService
+      })()
+    }
+
+    try {
+      await this.ragReady
+    } catch (error) {
+      this.ragReady = null
+      throw error
+    }
+  }
+
+  // Adds new files, replaces the chunks of changed ones and, for a full
+  // ingest, removes files that are gone from the data directory
+  async ingest(filePath = null) {
+    await this.initialize()
+
+    const result = filePath
+      ? await this.processor.processDocumentByPath(filePath)
+      : await this.processor.processAllDocuments()
+    if (result.processed > 0 || result.removed > 0) {
+      this.ragService?.queryCache.clear()
+    }
+    return result
+  }
+
+  // Syncs the data directory, then keeps syncing files as they change.
+  // Returns the processor, which emits `indexed`, `removed` and `error`
+  async watch(options = {}) {
+    await this.ingest()
+    return this.processor.watch(options)
+  }
+
+  async unwatch() {
+    await this.processor?.unwatch()
+  }
+
+  // Lists added, changed and removed files; `dryRun: false` also syncs them
+  async checkForUpdates(options = {}) {
+    await this.initialize()
+    const report = await this.processor.checkForUpdates(options)
+    if (report.result) this.ragService?.queryCache.clear()
+    return report
+  }
+
+  async ask(question, options = {}) {
+    this.validateText(question, 'question')
+    await this.initializeRAG()
+
+    const askOptions = this.withSourceFilter(options)
+    if (options.withSources) {
+      return await this.ragService.askWithSources(question, askOptions)
+    }
+    return await this.ragService.ask(question, askOptions)
+  }
+
+  // A one-off question: it gets a throwaway session, deleted once answered,
+  // so it neither continues nor leaves behind a conversation
+  async askOnce(question, options = {}) {
+    const sessionId = `once-${uuidv4()}`
+    try {
+      return await this.ask(question, { ...options, sessionId })
+    } finally {
+      await this.ragService?.deleteSession(sessionId)
+    }
+  }
+
+  async *askStream(question, options = {}) {
+    this.validateText(question, 'question')
+    await this.initializeRAG()
+    yield* this.ragService.askStream(question, this.withSourceFilter(options))
+  }
+
+  async search(query, options = {}) {
+    this.validateText(query, 'query')
+    await this.initialize()
+
+    const { searchDefaults } = this.config
+    const {
+      k = 4,
+      filter = {},
+      whereDocument = {},
+      searchType = this.config.searchType || 'similarity',
+      hybrid = {},
+      fetchK = searchDefaults.fetchK,
+      lambda = searchDefaults.lambda,
+      scoreThreshold = searchDefaults.scoreThreshold,
+      withScores = false
+    } = this.withSourceFilter(options)
+
+    const results = await this.processor.getChromaStore().searchByType(query, {
+      k,
+      filter,
+      whereDocument,
+      searchType,
+      hybrid,
+      fetchK,
+      lambda,
+      scoreThreshold
+    })
+    return withScores
+      ? results.map(([document, score]) => ({ ...document, score }))
+      : results.map(([document]) => document)
+  }
+
+  async refresh() {
+    await this.initialize()
+    const result = await this.processor.refreshDatabase()
+
+    // Cached answers may cite chunks that no longer exist
+    this.ragService?.queryCache.clear()
+    return result
+  }
+
+  async reembed() {
+    await this.initialize()
+    const result = await this.processor.getChromaStore().reembedCollection()
+    this.ragService?.queryCache.clear()
+    return result
+  }
+
+  async history(sessionId) {
+    await this.initializeRAG()
+    const messages = await this.ragService.getHistory(sessionId)
+    return messages.map(message => ({
+      role: message.getType(),
+      content: message.content
+    }))
+  }
+
+  async clearHistory(sessionId) {
+    await this.initializeRAG()
+    await this.ragService.clearHistory(sessionId)
+  }
+
+  async listSessions() {
+    await this.initializeRAG()
+    return await this.ragService.listSessions()
+  }
+
+  async deleteSession(sessionId) {
+    await this.initializeRAG()
+    return await this.ragService.deleteSession(sessionId)
+  }
+
+  // Built-in templates plus the ones loaded from config and files
+  async listPrompts() {
+    await this.initializeRAG()
+    return this.ragService.getRagChain().promptRegistry.list()
+  }
+
+  async status() {
+    const status = {
+      processor: null,
+      rag: null
+    }
+
+    if (this.processor) {
+      status.processor = await this.processor.getProcessingStatus()
+    }
+    if (this.ragService) {
+      status.rag = await this.ragService.getStatus()
+    }
+    return status
+  }
+
+  async close() {
+    try {
+      await this.processor?.unwatch()
+      await this.processor?.chromaStore?.close()
+    } finally {
+      this.processor = null
+      this.ragService = null
+      this.processorReady = null
+      this.ragReady = null
+    }
+  }
+
+  // The loader's data directory; before initialize(), the one it will use
+  getDataPath() {
+    return (
+      this.processor?.documentLoader.dataPath ||
+      resolveDataPath(this.config.dataPath)
+    )
+  }
+
+  // Resolves a path against the data directory, refusing anything outside it
+  resolveDocumentPath(filePath) {
+    const dataPath = this.getDataPath()
+    const resolved = path.resolve(dataPath, filePath)
+    const relative = path.relative(dataPath, resolved)
+
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+      return null
+    }
+    return resolved
+  }
+
+  // Filters name sources relative to the data directory, the store keeps
+  // them absolute
+  withSourceFilter(options) {
+    if (!options.filter) return options
+    return {
+      ...options,
+      filter: resolveSourceFilter(options.filter, this.getDataPath())
+    }
+  }
+
+  validateText(value, name) {
+    if (typeof value !== 'string' || value.trim().length === 0) {
+      throw new Error(`A non-empty ${name} string is required`)
+    }
   }
 }
 
+export { DocsLM }
 export default DocsLM
@@ -0,0 +1,133 @@
+// Built-in templates, one per language. `system` answers from {context}
+// (numbered chunks), {chat_history} and {input}; `condense` rewrites a
+// follow-up from {chat_history} and {input}; `summarize` folds old turns
+// ({messages}) into the running {summary} of a long session. `labels` name
+// the history roles and the page and line range in the formatted context.
+export const DEFAULT_TEMPLATES = [
+  {
+    name: 'default',
+    language: 'pt',
+    system: `Você é um assistente útil que responde perguntas baseado no contexto fornecido.
+Use apenas as informações do contexto para responder às perguntas.
+Se a informação não estiver disponível no contexto, diga que não sabe.
+Use o histórico da conversa para entender a que a pergunta se refere.
+Cada trecho do contexto começa com um número entre colchetes. Cite os trechos que sustentam cada afirmação logo após ela, por exemplo [1] ou [2][3], e cite apenas números que aparecem no contexto.
+
+Histórico da conversa:
+{chat_history}
+
+Contexto:
+{context}
+
+Pergunta: {input}`,
+    condense: `Dada a conversa abaixo e uma pergunta de acompanhamento, reescreva a pergunta como uma pergunta independente, que possa ser entendida sem a conversa.
+Substitua pronomes e referências ("isso", "ele", "o anterior") pelos termos a que se referem e mantenha o idioma da pergunta original.
+Responda apenas com a pergunta reescrita, sem explicações.
+
+Conversa:
+{chat_history}
+
+Pergunta de acompanhamento: {input}`,
+    summarize: `Atualize o resumo de uma conversa entre um usuário e um assistente de documentação com as novas mensagens abaixo.
+Mantenha os assuntos, nomes de APIs, decisões e perguntas em aberto que possam ser retomados; omita saudações e detalhes repetidos.
+Responda apenas com o resumo atualizado, em no máximo um parágrafo.
+
+Resumo atual:
+{summary}
+
+Novas mensagens:
+{messages}`,
+    labels: {
+      summary: 'Resumo da conversa anterior',
+      human: 'Usuário',
+      ai: 'Assistente',
+      empty: '(nenhum)',
+      lines: 'linhas',
+      page: 'página'
+    }
+  },
+  {
+    name: 'default',
+    language: 'en',
+    system: `You are a helpful assistant that answers questions based on the provided context.
+Use only the information in the context to answer.
+If the information is not in the context, say that you don't know.
+Use the conversation history to understand what the question refers to.
+Each context passage starts with a number in brackets. Cite the passages that support each statement right after it, for example [1] or [2][3], and only cite numbers that appear in the context.
+
+Conversation history:
+{chat_history}
+
+Context:
+{context}
+
+Question: {input}`,
+    condense: `Given the conversation below and a follow-up question, rewrite the follow-up as a standalone question that can be understood without the conversation.
+Replace pronouns and references ("it", "that", "the previous one") with what they refer to and keep the language of the original question.
+Reply with the rewritten question only, without explanations.
+
+Conversation:
+{chat_history}
+
+Follow-up question: {input}`,
+    summarize: `Update the summary of a conversation between a user and a documentation assistant with the new messages below.
+Keep the topics, API names, decisions and open questions that may come up again; leave out greetings and repeated details.
+Reply with the updated summary only, in one paragraph at most.
+
+Current summary:
+{summary}
+
+New messages:
+{messages}`,
+    labels: {
+      summary: 'Summary of the earlier conversation',
+      human: 'User',
+      ai: 'Assistant',
+      empty: '(none)',
+      lines: 'lines',
+      page: 'page'
+    }
+  },
+  {
+    name: 'default',
+    language: 'es',
+    system: `Eres un asistente útil que responde preguntas basándose en el contexto proporcionado.
+Usa solo la información del contexto para responder.
+Si la información no está en el contexto, di que no lo sabes.
+Usa el historial de la conversación para entender a qué se refiere la pregunta.
+Cada fragmento del contexto empieza con un número entre corchetes. Cita los fragmentos que respaldan cada afirmación justo después de ella, por ejemplo [1] o [2][3], y cita solo números que aparezcan en el contexto.
+
+Historial de la conversación:
+{chat_history}
+
+Contexto:
+{context}
+
+Pregunta: {input}`,
+    condense: `Dada la conversación de abajo y una pregunta de seguimiento, reescribe la pregunta como una pregunta independiente, que se entienda sin la conversación.
+Sustituye pronombres y referencias ("eso", "él", "el anterior") por los términos a los que se refieren y mantén el idioma de la pregunta original.
+Responde solo con la pregunta reescrita, sin explicaciones.
+
+Conversación:
+{chat_history}
+
+Pregunta de seguimiento: {input}`,
+    summarize: `Actualiza el resumen de una conversación entre un usuario y un asistente de documentación con los nuevos mensajes de abajo.
+Conserva los temas, nombres de APIs, decisiones y preguntas abiertas que puedan retomarse; omite saludos y detalles repetidos.
+Responde solo con el resumen actualizado, en un párrafo como máximo.
+
+Resumen actual:
+{summary}
+
+Nuevos mensajes:
+{messages}`,
+    labels: {
+      summary: 'Resumen de la conversación anterior',
+      human: 'Usuario',
+      ai: 'Asistente',
+      empty: '(ninguno)',
+      lines: 'líneas',
+      page: 'página'
+    }
+  }
+]
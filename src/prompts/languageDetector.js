@@ -0,0 +1,91 @@
+// Frequent function words; enough to tell short technical questions apart
+const STOPWORDS = {
+  pt:
+    'o os a as um uma é são foi como que quando onde por porque qual quais ' +
+    'quem pode posso devo eu você isso isto de do da dos das em no na nos ' +
+    'nas para com e ou não meu minha este esta esse essa',
+  en:
+    'the a an is are was do does did how what when where why which who can ' +
+    'could should i you it to of in on for with and or not my this that from',
+  es:
+    'el la los las un una es son fue cómo como qué que cuándo dónde por ' +
+    'porqué cuál cuáles quién puede puedo debo yo usted tú eso esto de del ' +
+    'en para con y o no mi este esta ese esa'
+}
+
+// Words and letters only one of the languages uses, which settle questions
+// whose stopwords are shared ("como", "para") or absent ("List all events")
+const DISTINCTIVE = {
+  pt: {
+    words:
+      'faço fazer tenho preciso consigo você vocês também então estão ' +
+      'não são isso até ao aos às pelo pela',
+    letters: /[ãõçâêô]/
+  },
+  en: {
+    words:
+      'all any list show get set use using should would there their these ' +
+      'those about into',
+    letters: null
+  },
+  es: {
+    words:
+      'hago hacer tengo necesito usted ustedes también entonces están ' +
+      'son eso hay al del pero muy',
+    letters: /[ñ¿¡]/
+  }
+}
+
+const WORDS = new Map(
+  Object.entries(STOPWORDS).map(([language, words]) => [
+    language,
+    new Set(words.split(' '))
+  ])
+)
+
+const MARKERS = new Map(
+  Object.entries(DISTINCTIVE).map(([language, { words, letters }]) => [
+    language,
+    { words: new Set(words.split(' ')), letters }
+  ])
+)
+
+function countDistinctive(text, tokens, language) {
+  const markers = MARKERS.get(language)
+  if (!markers) return 0
+  const words = tokens.filter(token => markers.words.has(token)).length
+  const letters = markers.letters
+    ? (text.match(new RegExp(markers.letters, 'g')) || []).length
+    : 0
+  return words + letters
+}
+
+/**
+ * Guesses the language of a question among `languages` by counting their
+ * stopwords, breaking ties with words and letters distinctive of each.
+ * Returns null when no candidate wins outright, as with bare identifiers or
+ * languages without a word list.
+ */
+export function detectLanguage(text, languages = [...WORDS.keys()]) {
+  const lower = (text || '').toLowerCase()
+  const tokens = lower.match(/\p{L}+/gu) || []
+  const scores = languages
+    .filter(language => WORDS.has(language))
+    .map(language => {
+      const words = WORDS.get(language)
+      return {
+        language,
+        stopwords: tokens.filter(token => words.has(token)).length,
+        distinctive: countDistinctive(lower, tokens, language)
+      }
+    })
+    .sort((a, b) => b.stopwords - a.stopwords || b.distinctive - a.distinctive)
+
+  const [best, next] = scores
+  if (!best || (best.stopwords === 0 && best.distinctive === 0)) return null
+  const tied =
+    next &&
+    next.stopwords === best.stopwords &&
+    next.distinctive === best.distinctive
+  return tied ? null : best.language
+}
@@ -0,0 +1,261 @@
+import fs from 'fs'
+import path from 'path'
+import { PromptTemplate } from '@langchain/core/prompts'
+import { DEFAULT_TEMPLATES } from './defaultTemplates.js'
+import { detectLanguage } from './languageDetector.js'
+
+// Language key of templates that serve every language
+const ANY_LANGUAGE = '*'
+// Placeholders filled by the chain; any other one is a custom variable
+const RESERVED = ['context', 'input', 'chat_history']
+const REQUIRED = {
+  system: ['context', 'input'],
+  condense: ['input', 'chat_history'],
+  summarize: ['summary', 'messages']
+}
+// Filled by the session manager alone, never with template variables
+const SESSION_PARTS = ['summarize']
+const TEXT_EXTENSIONS = ['.txt', '.md']
+
+export class PromptTemplateError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'PromptTemplateError'
+  }
+}
+
+function placeholders(template, part) {
+  try {
+    return PromptTemplate.fromTemplate(template[part]).inputVariables
+  } catch (error) {
+    throw new PromptTemplateError(
+      `Prompt template "${template.name}" has an invalid ${part} prompt: ${error.message}`
+    )
+  }
+}
+
+/**
+ * Checks that the system prompt has {context} and {input}, the condense
+ * prompt {input} and {chat_history} and the summarize prompt {summary} and
+ * {messages}. With `variables`, every other placeholder of the system and
+ * condense prompts must have a value too.
+ */
+export function validatePromptTemplate(template, variables = null) {
+  for (const [part, required] of Object.entries(REQUIRED)) {
+    if (!template[part]) continue
+    const found = placeholders(template, part)
+
+    const missing = required.filter(name => !found.includes(name))
+    if (missing.length > 0) {
+      throw new PromptTemplateError(
+        `Prompt template "${template.name}" ${part} prompt is missing ${missing
+          .map(name => `{${name}}`)
+          .join(', ')}`
+      )
+    }
+
+    if (SESSION_PARTS.includes(part)) continue
+    const unset = found.filter(
+      name => !RESERVED.includes(name) && variables && variables[name] == null
+    )
+    if (unset.length > 0) {
+      throw new PromptTemplateError(
+        `Prompt template "${template.name}" needs values for ${unset
+          .map(name => `{${name}}`)
+          .join(', ')}`
+      )
+    }
+  }
+}
+
+// Explicit options win over PROMPT_* environment variables. `language` is
+// a language code or "auto" to follow the question; `fallbackLanguage` is
+// used when detection is inconclusive or the template lacks the language,
+// and defaults to the template's own language or English
+export function resolvePromptConfig(options = {}) {
+  return {
+    ...options,
+    template: (
+      options.template ||
+      process.env.PROMPT_TEMPLATE ||
+      'default'
+    ).toLowerCase(),
+    language: (
+      options.language ||
+      process.env.PROMPT_LANGUAGE ||
+      'auto'
+    ).toLowerCase(),
+    fallbackLanguage:
+      (
+        options.fallbackLanguage || process.env.PROMPT_FALLBACK_LANGUAGE
+      )?.toLowerCase() || null,
+    directory: options.directory || process.env.PROMPT_TEMPLATES_DIR || null,
+    templates: options.templates || [],
+    variables: { ...options.variables }
+  }
+}
+
+/**
+ * Prompt templates by name and language, seeded with the built-ins. Every
+ * RAGChain owns one, so templates registered for one DocsLM instance never
+ * replace another's.
+ */
+export class PromptRegistry {
+  constructor() {
+    // Template name -> Map of language -> template
+    this.templates = new Map()
+    DEFAULT_TEMPLATES.forEach(template => this.register(template))
+  }
+
+  // Templates are `{ name, language?, system, condense?, summarize?,
+  // labels?, variables? }`. Missing condense or summarize prompts or labels
+  // come from the built-in template of the language the question is
+  // answered in. Registering a name and language again replaces that
+  // variant, built-ins included
+  register(template) {
+    if (!template?.name || typeof template.system !== 'string') {
+      throw new PromptTemplateError(
+        'Prompt templates need a name and a system prompt'
+      )
+    }
+    const normalized = {
+      name: template.name.toLowerCase(),
+      language: (template.language || ANY_LANGUAGE).toLowerCase(),
+      system: template.system,
+      condense: template.condense || null,
+      summarize: template.summarize || null,
+      labels: { ...template.labels },
+      variables: { ...template.variables }
+    }
+    validatePromptTemplate(normalized)
+
+    if (!this.templates.has(normalized.name)) {
+      this.templates.set(normalized.name, new Map())
+    }
+    this.templates.get(normalized.name).set(normalized.language, normalized)
+    return normalized
+  }
+
+  list() {
+    return [...this.templates].map(([name, variants]) => ({
+      name,
+      languages: [...variants.keys()]
+    }))
+  }
+
+  /**
+   * Registers every template in a directory. `.json` files hold one template
+   * or an array of them, named after the file unless they say otherwise;
+   * `.txt` and `.md` files hold only a system prompt and are named
+   * `<name>.<language>.<ext>`, or `<name>.<ext>` for any language.
+   */
+  async load(dir) {
+    try {
+      const loaded = []
+      const files = (await fs.promises.readdir(dir)).sort()
+
+      for (const file of files) {
+        const extension = path.extname(file).toLowerCase()
+        const [name, language] = path.basename(file, extension).split('.')
+        const content = await fs.promises.readFile(path.join(dir, file), 'utf8')
+
+        if (extension === '.json') {
+          const parsed = JSON.parse(content)
+          for (const template of [].concat(parsed)) {
+            loaded.push(this.register({ name, language, ...template }))
+          }
+        } else if (TEXT_EXTENSIONS.includes(extension)) {
+          loaded.push(this.register({ name, language, system: content }))
+        }
+      }
+
+      console.log(`Loaded ${loaded.length} prompt templates from ${dir}`)
+      return loaded
+    } catch (error) {
+      console.error('Error loading prompt templates:', error.message)
+      throw error
+    }
+  }
+
+  /**
+   * Picks the template variant for a question and fills in what it leaves
+   * to the built-ins. Returns `{ name, language, system, condense,
+   * summarize, labels, variables }`, with the config's variables over the
+   * template's defaults.
+   */
+  select(question, config = {}) {
+    const {
+      template: name = 'default',
+      language = 'auto',
+      variables = {}
+    } = config
+    const variants = this.templates.get(name.toLowerCase())
+    if (!variants) {
+      throw new PromptTemplateError(
+        `Unknown prompt template "${name}". Available: ${[...this.templates.keys()].join(', ')}`
+      )
+    }
+    const fallbackLanguage = this.fallbackLanguage(variants, config)
+
+    const languages = [...variants.keys()].filter(key => key !== ANY_LANGUAGE)
+    const wanted =
+      (language === 'auto'
+        ? detectLanguage(question, languages.length > 0 ? languages : undefined)
+        : language.toLowerCase()) || fallbackLanguage
+    const variant =
+      variants.get(wanted) ||
+      variants.get(ANY_LANGUAGE) ||
+      variants.get(fallbackLanguage) ||
+      variants.values().next().value
+    const resolvedLanguage =
+      variant.language === ANY_LANGUAGE ? wanted : variant.language
+
+    const builtIn =
+      DEFAULT_TEMPLATES.find(base => base.language === resolvedLanguage) ||
+      DEFAULT_TEMPLATES.find(base => base.language === 'en')
+    const selected = {
+      name: variant.name,
+      language: resolvedLanguage,
+      system: variant.system,
+      condense: variant.condense || builtIn.condense,
+      summarize: variant.summarize || builtIn.summarize,
+      labels: { ...builtIn.labels, ...variant.labels },
+      variables: { ...variant.variables, ...variables }
+    }
+    validatePromptTemplate(selected, selected.variables)
+    return selected
+  }
+
+  // The configured fallback, else the language of a single-language
+  // template, else English
+  fallbackLanguage(variants, config = {}) {
+    if (config.fallbackLanguage) return config.fallbackLanguage
+    const languages = [...variants.keys()].filter(key => key !== ANY_LANGUAGE)
+    return languages.length === 1 ? languages[0] : 'en'
+  }
+
+  /**
+   * Resolves the prompt config, registers the templates it brings (directory
+   * first, then inline ones) and checks that every language of the chosen
+   * template can be rendered with the configured variables.
+   */
+  async initialize(options = {}) {
+    const config = resolvePromptConfig(options)
+    if (config.directory) await this.load(config.directory)
+    config.templates.forEach(template => this.register(template))
+
+    const variants = this.templates.get(config.template)
+    const languages = new Set(
+      [...(variants?.keys() || [])].map(language =>
+        language === ANY_LANGUAGE
+          ? this.fallbackLanguage(variants, config)
+          : language
+      )
+    )
+    if (config.language !== 'auto') languages.add(config.language)
+    for (const language of languages.size > 0 ? languages : ['auto']) {
+      this.select('', { ...config, language })
+    }
+    return config
+  }
+}
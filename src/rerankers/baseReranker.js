@@ -0,0 +1,47 @@
+/**
+ * Second-stage ranking between retrieval and the prompt. The retriever
+ * over-fetches `candidates` documents, the reranker scores each of them
+ * against the question and only the best k are passed to the LLM.
+ */
+export class BaseReranker {
+  constructor(options = {}) {
+    this.provider = options.provider
+    this.model = options.model || null
+    this.candidates = options.candidates || 20
+  }
+
+  async initialize() {}
+
+  // Returns one relevance score per document, higher is more relevant
+  async score(query, documents) {
+    throw new Error(`${this.constructor.name} does not implement score()`)
+  }
+
+  // Returns the k best documents, each with `rerank: { score, retrievalRank }`
+  // so callers can see how far a chunk moved. If scoring fails the retrieval
+  // order is kept, the answer should not depend on the reranker being up.
+  async rerank(query, documents, k = documents.length) {
+    if (documents.length === 0) return []
+
+    let scores
+    try {
+      scores = await this.score(query, documents)
+    } catch (error) {
+      console.error(
+        `Error reranking with ${this.provider}, keeping retrieval order:`,
+        error.message
+      )
+      return documents.slice(0, k)
+    }
+
+    return documents
+      .map((document, index) => ({
+        id: document.id,
+        pageContent: document.pageContent,
+        metadata: document.metadata,
+        rerank: { score: scores[index], retrievalRank: index + 1 }
+      }))
+      .sort((a, b) => b.rerank.score - a.rerank.score)
+      .slice(0, k)
+  }
+}
@@ -0,0 +1,63 @@
+import { BaseReranker } from './baseReranker.js'
+
+const BATCH_SIZE = 16
+
+/**
+ * Runs a cross-encoder (question and chunk encoded together) in-process with
+ * transformers.js. More accurate than comparing separate embeddings, but
+ * every candidate costs a model pass, so keep `candidates` small.
+ */
+export class CrossEncoderReranker extends BaseReranker {
+  constructor(options = {}) {
+    super({
+      ...options,
+      provider: 'cross-encoder',
+      model: options.model || 'Xenova/ms-marco-MiniLM-L-6-v2'
+    })
+    this.dtype = options.dtype || 'fp32'
+    this.tokenizer = null
+    this.classifier = null
+  }
+
+  async initialize() {
+    if (this.classifier) return
+
+    try {
+      console.log(`Loading cross-encoder reranker. Model: ${this.model}`)
+      // Loaded lazily: transformers.js is heavy and only needed here
+      const { AutoTokenizer, AutoModelForSequenceClassification } =
+        await import('@huggingface/transformers')
+      this.tokenizer = await AutoTokenizer.from_pretrained(this.model)
+      this.classifier =
+        await AutoModelForSequenceClassification.from_pretrained(this.model, {
+          dtype: this.dtype
+        })
+      console.log('Cross-encoder reranker loaded')
+    } catch (error) {
+      console.error('Error loading cross-encoder reranker:', error.message)
+      throw error
+    }
+  }
+
+  async score(query, documents) {
+    await this.initialize()
+    const scores = []
+
+    for (let i = 0; i < documents.length; i += BATCH_SIZE) {
+      const texts = documents
+        .slice(i, i + BATCH_SIZE)
+        .map(document => document.pageContent || '')
+      const inputs = this.tokenizer(new Array(texts.length).fill(query), {
+        text_pair: texts,
+        padding: true,
+        truncation: true
+      })
+      const { logits } = await this.classifier(inputs)
+      // Single relevance logit per pair; sigmoid maps it to 0..1
+      for (const [logit] of logits.tolist()) {
+        scores.push(1 / (1 + Math.exp(-logit)))
+      }
+    }
+    return scores
+  }
+}
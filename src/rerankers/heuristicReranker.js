@@ -0,0 +1,48 @@
+import { tokenize } from '../vectorStore/bm25Index.js'
+import { BaseReranker } from './baseReranker.js'
+
+// Question words that say nothing about the topic
+const STOPWORDS = new Set(
+  (
+    'a an and are can do does how i in is it of on or the to what when ' +
+    'where which why with'
+  ).split(' ')
+)
+
+/**
+ * Local, dependency-free reranker. Scores how much of the question a chunk
+ * covers: the share of question terms (stopwords aside) it contains, a
+ * bonus when it contains the question verbatim and a smaller one for terms
+ * in its source path.
+ */
+export class HeuristicReranker extends BaseReranker {
+  constructor(options = {}) {
+    super({ ...options, provider: 'heuristic', model: 'term-overlap' })
+  }
+
+  async score(query, documents) {
+    const terms = new Set(tokenize(query).filter(term => !STOPWORDS.has(term)))
+    const phrase = query.trim().toLowerCase()
+
+    return documents.map(document => {
+      if (terms.size === 0) return 0
+
+      const text = document.pageContent || ''
+      const tokens = new Set(tokenize(text))
+      const sourceTokens = new Set(tokenize(document.metadata?.source || ''))
+
+      let covered = 0
+      let inSource = 0
+      for (const term of terms) {
+        if (tokens.has(term)) covered++
+        if (sourceTokens.has(term)) inSource++
+      }
+
+      return (
+        0.7 * (covered / terms.size) +
+        0.2 * (phrase && text.toLowerCase().includes(phrase) ? 1 : 0) +
+        0.1 * (inSource / terms.size)
+      )
+    })
+  }
+}
@@ -0,0 +1,62 @@
+import { BaseReranker } from './baseReranker.js'
+
+const MAX_PASSAGE_CHARS = 1000
+
+const RERANK_PROMPT = `Rate how useful each passage is for answering the question, from 0 (irrelevant) to 10 (answers it directly).
+Reply with one line per passage in the form "<number>: <rating>" and nothing else.
+
+Question: {question}
+
+{passages}`
+
+/**
+ * Asks the configured LLM to rate every candidate in a single call.
+ * Slower and costlier than the local rerankers, but needs no extra model.
+ */
+export class LLMReranker extends BaseReranker {
+  constructor(options = {}) {
+    super({ ...options, provider: 'llm' })
+    this.llmService = options.llmService
+    this.model = this.llmService?.model || null
+  }
+
+  async initialize() {
+    if (!this.llmService) {
+      throw new Error('LLM reranker requires an initialized LLM service')
+    }
+  }
+
+  buildPrompt(query, documents) {
+    const passages = documents
+      .map(
+        (document, index) =>
+          `[${index + 1}] ${(document.pageContent || '').slice(0, MAX_PASSAGE_CHARS)}`
+      )
+      .join('\n\n')
+    return RERANK_PROMPT.replace('{question}', query).replace(
+      '{passages}',
+      passages
+    )
+  }
+
+  async score(query, documents) {
+    const content = await this.llmService.invoke(
+      this.buildPrompt(query, documents)
+    )
+    const text = Array.isArray(content)
+      ? content.map(part => part.text || '').join('')
+      : String(content)
+
+    // Unrated passages score 0
+    const scores = new Array(documents.length).fill(0)
+    for (const [, number, rating] of text.matchAll(
+      /\[?(\d+)\]?\s*[:=-]\s*(\d+(?:\.\d+)?)/g
+    )) {
+      const index = Number(number) - 1
+      if (index >= 0 && index < documents.length) {
+        scores[index] = Math.min(Number(rating), 10) / 10
+      }
+    }
+    return scores
+  }
+}
@@ -0,0 +1,56 @@
+import { HeuristicReranker } from './heuristicReranker.js'
+import { CrossEncoderReranker } from './crossEncoderReranker.js'
+import { LLMReranker } from './llmReranker.js'
+
+const providers = new Map()
+
+export function registerReranker(name, factory) {
+  if (typeof factory !== 'function') {
+    throw new Error(`Reranker "${name}" must be registered with a factory`)
+  }
+  providers.set(name.toLowerCase(), factory)
+}
+
+export function getRerankers() {
+  return [...providers.keys()]
+}
+
+// Explicit options win over RERANKER* environment variables; no provider
+// (or "none") disables reranking
+export function resolveRerankerConfig(options = {}) {
+  const provider = (
+    options.provider ||
+    process.env.RERANKER ||
+    'none'
+  ).toLowerCase()
+
+  return {
+    ...options,
+    provider: provider === 'none' ? null : provider,
+    model: options.model || process.env.RERANKER_MODEL || undefined,
+    candidates:
+      options.candidates || parseInt(process.env.RERANK_CANDIDATES) || 20
+  }
+}
+
+// `context.llmService` is handed to rerankers that score with the LLM
+export function createReranker(options = {}, context = {}) {
+  const config = resolveRerankerConfig(options)
+  if (!config.provider) return null
+
+  const factory = providers.get(config.provider)
+  if (!factory) {
+    throw new Error(
+      `Unknown reranker "${config.provider}". Available: ${getRerankers().join(', ')}`
+    )
+  }
+  return factory(config, context)
+}
+
+registerReranker('heuristic', options => new HeuristicReranker(options))
+registerReranker('cross-encoder', options => new CrossEncoderReranker(options))
+registerReranker(
+  'llm',
+  (options, context) =>
+    new LLMReranker({ ...options, llmService: context.llmService })
+)
@@ -0,0 +1,428 @@
+import http from 'http'
+import fs from 'fs'
+import { InvalidFilterError } from '../vectorStore/metadataFilter.js'
+import {
+  SEARCH_TYPES,
+  validateSearchOptions
+} from '../vectorStore/baseVectorStore.js'
+import { describeSource, numberSources } from '../chains/citations.js'
+import { PromptTemplateError } from '../prompts/promptRegistry.js'
+import { UnsupportedDocumentError } from '../loaders/documentLoader.js'
+
+const MAX_BODY_BYTES = 1024 * 1024
+const MAX_K = 50
+const MAX_FETCH_K = 200
+const SESSION_ID_PATTERN = /^[\w.-]{1,128}$/
+
+export class HttpError extends Error {
+  constructor(status, code, message, details = null) {
+    super(message)
+    this.status = status
+    this.code = code
+    this.details = details
+  }
+}
+
+function requireString(body, key) {
+  const value = body[key]
+  if (typeof value !== 'string' || value.trim().length === 0) {
+    throw new HttpError(
+      400,
+      'validation_error',
+      `"${key}" must be a non-empty string`
+    )
+  }
+  return value
+}
+
+function optionalInteger(body, key, min, max) {
+  const value = body[key]
+  if (value === undefined) return undefined
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new HttpError(
+      400,
+      'validation_error',
+      `"${key}" must be an integer between ${min} and ${max}`
+    )
+  }
+  return value
+}
+
+function optionalObject(body, key) {
+  const value = body[key]
+  if (value === undefined) return undefined
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    throw new HttpError(400, 'validation_error', `"${key}" must be an object`)
+  }
+  return value
+}
+
+function optionalChoice(body, key, choices) {
+  const value = body[key]
+  if (value === undefined) return undefined
+  if (!choices.includes(value)) {
+    throw new HttpError(
+      400,
+      'validation_error',
+      `"${key}" must be one of ${choices.join(', ')}`
+    )
+  }
+  return value
+}
+
+function optionalNumber(body, key, min, max) {
+  const value = body[key]
+  if (value === undefined) return undefined
+  if (typeof value !== 'number' || !(value >= min && value <= max)) {
+    throw new HttpError(
+      400,
+      'validation_error',
+      `"${key}" must be a number between ${min} and ${max}`
+    )
+  }
+  return value
+}
+
+// searchType and the options that tune it (hybrid fusion, mmr, threshold)
+function optionalSearchOptions(body) {
+  const options = {
+    searchType: optionalChoice(body, 'searchType', SEARCH_TYPES),
+    hybrid: optionalObject(body, 'hybrid'),
+    fetchK: optionalInteger(body, 'fetchK', 1, MAX_FETCH_K),
+    lambda: optionalNumber(body, 'lambda', 0, 1),
+    scoreThreshold: optionalNumber(body, 'scoreThreshold', -1, 1)
+  }
+  try {
+    validateSearchOptions(options)
+  } catch (error) {
+    throw new HttpError(400, 'validation_error', error.message)
+  }
+  return options
+}
+
+// Template name, language code and custom variables for the prompt
+function optionalPromptOptions(body) {
+  const options = {
+    prompt:
+      body.prompt === undefined ? undefined : requireString(body, 'prompt'),
+    language:
+      body.language === undefined ? undefined : requireString(body, 'language'),
+    promptVariables: optionalObject(body, 'promptVariables')
+  }
+  const variables = Object.values(options.promptVariables || {})
+  if (!variables.every(value => typeof value === 'string')) {
+    throw new HttpError(
+      400,
+      'validation_error',
+      '"promptVariables" values must be strings'
+    )
+  }
+  return options
+}
+
+function optionalBoolean(body, key) {
+  const value = body[key]
+  if (value === undefined) return undefined
+  if (typeof value !== 'boolean') {
+    throw new HttpError(400, 'validation_error', `"${key}" must be a boolean`)
+  }
+  return value
+}
+
+function validateSessionId(value) {
+  if (typeof value !== 'string' || !SESSION_ID_PATTERN.test(value)) {
+    throw new HttpError(
+      400,
+      'validation_error',
+      '"sessionId" must be 1-128 letters, digits, ".", "_" or "-"'
+    )
+  }
+  return value
+}
+
+export class HttpServer {
+  constructor(docsLM, options = {}) {
+    this.docs = docsLM
+    this.port = options.port ?? (parseInt(process.env.HTTP_PORT) || 3000)
+    this.host = options.host || process.env.HTTP_HOST || '127.0.0.1'
+    this.corsOrigin = options.corsOrigin || process.env.HTTP_CORS_ORIGIN || null
+    this.maxBodyBytes = options.maxBodyBytes || MAX_BODY_BYTES
+    this.server = null
+
+    this.routes = {
+      'POST /ask': request => this.handleAsk(request),
+      'POST /search': request => this.handleSearch(request),
+      'POST /documents': request => this.handleDocuments(request),
+      'POST /refresh': () => this.docs.refresh(),
+      'GET /status': () => this.handleStatus(),
+      'GET /history': request => this.handleHistory(request),
+      'DELETE /history': request => this.handleClearHistory(request),
+      'GET /sessions': () => this.handleSessions(),
+      'GET /prompts': () => this.handlePrompts()
+    }
+  }
+
+  async start() {
+    if (this.server) return this.address()
+
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res)
+    })
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject)
+      this.server.listen(this.port, this.host, () => {
+        this.server.off('error', reject)
+        resolve()
+      })
+    })
+
+    const { address, port } = this.address()
+    console.log(`HTTP server listening on http://${address}:${port}`)
+    return this.address()
+  }
+
+  async stop() {
+    if (!this.server) return
+
+    const server = this.server
+    this.server = null
+    await new Promise((resolve, reject) => {
+      server.close(error => (error ? reject(error) : resolve()))
+      server.closeAllConnections()
+    })
+    console.log('HTTP server stopped')
+  }
+
+  address() {
+    return this.server?.address() || null
+  }
+
+  async handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost')
+
+    try {
+      if (req.method === 'OPTIONS') {
+        return this.send(res, 204, null)
+      }
+
+      const routeKey = `${req.method} ${url.pathname}`
+      const handler = this.routes[routeKey]
+
+      if (!handler) {
+        const allowed = Object.keys(this.routes)
+          .filter(key => key.split(' ')[1] === url.pathname)
+          .map(key => key.split(' ')[0])
+
+        if (allowed.length > 0) {
+          res.setHeader('Allow', allowed.join(', '))
+          throw new HttpError(
+            405,
+            'method_not_allowed',
+            `Method ${req.method} not allowed on ${url.pathname}`
+          )
+        }
+        throw new HttpError(404, 'not_found', `No route for ${url.pathname}`)
+      }
+
+      const body = req.method === 'POST' ? await this.readBody(req) : {}
+      const result = await handler({ body, query: url.searchParams })
+      this.send(res, 200, result)
+    } catch (error) {
+      this.sendError(res, error)
+    }
+  }
+
+  async readBody(req) {
+    const contentType = req.headers['content-type'] || ''
+    const chunks = []
+    let size = 0
+
+    for await (const chunk of req) {
+      size += chunk.length
+      if (size > this.maxBodyBytes) {
+        throw new HttpError(
+          413,
+          'payload_too_large',
+          `Request body exceeds ${this.maxBodyBytes} bytes`
+        )
+      }
+      chunks.push(chunk)
+    }
+
+    if (size === 0) return {}
+
+    if (!contentType.includes('application/json')) {
+      throw new HttpError(
+        415,
+        'unsupported_media_type',
+        'Request body must be application/json'
+      )
+    }
+
+    let body
+    try {
+      body = JSON.parse(Buffer.concat(chunks).toString('utf8'))
+    } catch (error) {
+      throw new HttpError(400, 'invalid_json', error.message)
+    }
+
+    if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+      throw new HttpError(400, 'invalid_json', 'Body must be a JSON object')
+    }
+    return body
+  }
+
+  send(res, status, payload) {
+    if (this.corsOrigin) {
+      res.setHeader('Access-Control-Allow-Origin', this.corsOrigin)
+      res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE')
+      res.setHeader('Access-Control-Allow-Headers', 'Content-Type')
+    }
+
+    if (payload === null) {
+      res.writeHead(status)
+      return res.end()
+    }
+
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' })
+    res.end(JSON.stringify(payload))
+  }
+
+  sendError(res, error) {
+    if (error instanceof InvalidFilterError) {
+      error = new HttpError(400, 'invalid_filter', error.message)
+    }
+    if (error instanceof PromptTemplateError) {
+      error = new HttpError(400, 'invalid_prompt', error.message)
+    }
+    if (error instanceof UnsupportedDocumentError) {
+      error = new HttpError(422, 'unsupported_document', error.message)
+    }
+    if (!(error instanceof HttpError)) {
+      console.error('HTTP server: Unhandled error:', error.message)
+      error = new HttpError(500, 'internal_error', error.message)
+    }
+
+    const body = { error: { code: error.code, message: error.message } }
+    if (error.details) body.error.details = error.details
+    this.send(res, error.status, body)
+  }
+
+  async handleAsk({ body }) {
+    const question = requireString(body, 'question')
+    const k = optionalInteger(body, 'k', 1, MAX_K)
+    const filter = optionalObject(body, 'filter')
+    const whereDocument = optionalObject(body, 'whereDocument')
+    const searchOptions = optionalSearchOptions(body)
+    const rerank = optionalBoolean(body, 'rerank')
+    const withSources = optionalBoolean(body, 'withSources')
+    const citedOnly = optionalBoolean(body, 'citedOnly')
+    const promptOptions = optionalPromptOptions(body)
+    // Without a session the question is answered on its own and nothing
+    // is kept, so stateless clients do not pile up histories
+    const sessionId =
+      body.sessionId === undefined ? null : validateSessionId(body.sessionId)
+    const ask = sessionId ? this.docs.ask : this.docs.askOnce
+
+    const result = await ask.call(this.docs, question, {
+      k,
+      filter,
+      whereDocument,
+      ...searchOptions,
+      rerank,
+      ...(sessionId && { sessionId }),
+      withSources,
+      citedOnly,
+      ...promptOptions
+    })
+
+    // Without withSources the full chunk text is returned
+    const sources =
+      result.sources ||
+      numberSources(result.sourceDocuments, result.citations, citedOnly).map(
+        ({ index, document, cited }) => ({
+          index,
+          cited,
+          content: document.pageContent,
+          metadata: document.metadata,
+          location: describeSource(document),
+          ...(document.rerank && { rerank: document.rerank })
+        })
+      )
+
+    return {
+      sessionId,
+      answer: result.answer,
+      question: result.question,
+      standaloneQuestion: result.standaloneQuestion,
+      prompt: result.prompt,
+      language: result.language,
+      citations: result.citations,
+      invalidCitations: result.invalidCitations,
+      sources,
+      metadata: result.metadata
+    }
+  }
+
+  async handleSearch({ body }) {
+    const query = requireString(body, 'query')
+    const k = optionalInteger(body, 'k', 1, MAX_K)
+    const filter = optionalObject(body, 'filter')
+    const whereDocument = optionalObject(body, 'whereDocument')
+    const searchOptions = optionalSearchOptions(body)
+
+    const results = await this.docs.search(query, {
+      k,
+      filter,
+      whereDocument,
+      ...searchOptions,
+      withScores: true
+    })
+    return { query, results }
+  }
+
+  // Only files inside the configured data directory may be indexed
+  async handleDocuments({ body }) {
+    const requested = requireString(body, 'path')
+    const filePath = this.docs.resolveDocumentPath(requested)
+
+    if (!filePath) {
+      throw new HttpError(
+        403,
+        'forbidden',
+        `Path is outside the data directory: ${requested}`
+      )
+    }
+    if (!fs.existsSync(filePath)) {
+      throw new HttpError(404, 'not_found', `File not found: ${requested}`)
+    }
+
+    const result = await this.docs.ingest(filePath)
+    return { path: requested, ...result }
+  }
+
+  async handleStatus() {
+    await this.docs.initialize()
+    return await this.docs.status()
+  }
+
+  async handleHistory({ query }) {
+    const sessionId = validateSessionId(query.get('sessionId'))
+    return { sessionId, messages: await this.docs.history(sessionId) }
+  }
+
+  async handleClearHistory({ query }) {
+    const sessionId = validateSessionId(query.get('sessionId'))
+    await this.docs.clearHistory(sessionId)
+    return { sessionId, cleared: true }
+  }
+
+  async handleSessions() {
+    return { sessions: await this.docs.listSessions() }
+  }
+
+  async handlePrompts() {
+    return { prompts: await this.docs.listPrompts() }
+  }
+}
@@ -0,0 +1,296 @@
+import fs from 'fs'
+import {
+  McpServer,
+  ResourceTemplate
+} from '@modelcontextprotocol/sdk/server/mcp.js'
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js'
+import { z } from 'zod'
+import { SEARCH_TYPES } from '../vectorStore/baseVectorStore.js'
+
+const SOURCE_URI_PREFIX = 'docs-lm://sources/'
+const FILTER_DESCRIPTION =
+  'Metadata filter with Chroma-style operators, e.g. { "source": { "$prefix": "player/" }, "version": { "$in": ["2.0", "2.1"] } }'
+const WHERE_DOCUMENT_DESCRIPTION =
+  'Chunk text filter, e.g. { "$contains": "PLAYER_READY" }'
+const SEARCH_TYPE_DESCRIPTION =
+  'Use "hybrid" to combine keyword (BM25) and vector ranking, which helps with exact API names and error codes; "mmr" to avoid near-duplicate chunks; "similarity_score_threshold" (with scoreThreshold) to return only close matches'
+const SCORE_THRESHOLD_DESCRIPTION =
+  'Minimum cosine similarity for searchType "similarity_score_threshold", e.g. 0.5'
+
+function textResult(text) {
+  return { content: [{ type: 'text', text }] }
+}
+
+function errorResult(error) {
+  return { isError: true, content: [{ type: 'text', text: error.message }] }
+}
+
+/**
+ * Model Context Protocol server exposing DocsLM to editors and agents.
+ * Communicates over stdio, so nothing else may write to stdout.
+ */
+export class DocsMcpServer {
+  constructor(docsLM, options = {}) {
+    this.docs = docsLM
+    this.name = options.name || 'docs-lm'
+    this.version = options.version || '0.1.0'
+    this.server = null
+    this.transport = null
+  }
+
+  createServer() {
+    const server = new McpServer({ name: this.name, version: this.version })
+
+    server.registerTool(
+      'ask_docs',
+      {
+        title: 'Ask the documentation',
+        description:
+          'Answer a question using the indexed documentation. Returns the answer and the source files it was based on.',
+        inputSchema: {
+          question: z.string().min(1).describe('Question to answer'),
+          k: z.number().int().min(1).max(50).optional(),
+          filter: z.record(z.any()).optional().describe(FILTER_DESCRIPTION),
+          whereDocument: z
+            .record(z.any())
+            .optional()
+            .describe(WHERE_DOCUMENT_DESCRIPTION),
+          searchType: z
+            .enum(SEARCH_TYPES)
+            .optional()
+            .describe(SEARCH_TYPE_DESCRIPTION),
+          scoreThreshold: z
+            .number()
+            .min(-1)
+            .max(1)
+            .optional()
+            .describe(SCORE_THRESHOLD_DESCRIPTION),
+          language: z
+            .string()
+            .optional()
+            .describe(
+              'Language code to answer in, such as "en" or "pt"; detected from the question by default'
+            ),
+          sessionId: z
+            .string()
+            .optional()
+            .describe(
+              'Reuse to keep conversation history between calls; without it every call is answered on its own'
+            )
+        }
+      },
+      args => this.runTool(() => this.askDocs(args))
+    )
+
+    server.registerTool(
+      'search_docs',
+      {
+        title: 'Search the documentation',
+        description:
+          'Similarity search over indexed documentation chunks without generating an answer.',
+        inputSchema: {
+          query: z.string().min(1).describe('Search text'),
+          k: z.number().int().min(1).max(50).optional(),
+          filter: z.record(z.any()).optional().describe(FILTER_DESCRIPTION),
+          whereDocument: z
+            .record(z.any())
+            .optional()
+            .describe(WHERE_DOCUMENT_DESCRIPTION),
+          searchType: z
+            .enum(SEARCH_TYPES)
+            .optional()
+            .describe(SEARCH_TYPE_DESCRIPTION),
+          scoreThreshold: z
+            .number()
+            .min(-1)
+            .max(1)
+            .optional()
+            .describe(SCORE_THRESHOLD_DESCRIPTION)
+        }
+      },
+      args => this.runTool(() => this.searchDocs(args))
+    )
+
+    server.registerTool(
+      'index_document',
+      {
+        title: 'Index a document',
+        description:
+          'Process a file inside the data directory and add its chunks to the index.',
+        inputSchema: {
+          path: z
+            .string()
+            .min(1)
+            .describe('Path relative to the data directory')
+        }
+      },
+      args => this.runTool(() => this.indexDocument(args))
+    )
+
+    server.registerResource(
+      'sources',
+      'docs-lm://sources',
+      {
+        title: 'Indexed sources',
+        description: 'Every indexed source file with its chunk count',
+        mimeType: 'application/json'
+      },
+      async uri => ({
+        contents: [
+          {
+            uri: uri.href,
+            mimeType: 'application/json',
+            text: JSON.stringify(await this.listSources(), null, 2)
+          }
+        ]
+      })
+    )
+
+    server.registerResource(
+      'source',
+      new ResourceTemplate(`${SOURCE_URI_PREFIX}{source}`, {
+        list: async () => ({
+          resources: (await this.listSources()).map(({ source, chunks }) => ({
+            uri: SOURCE_URI_PREFIX + encodeURIComponent(source),
+            name: source,
+            description: `${chunks} indexed chunks`,
+            mimeType: 'text/plain'
+          }))
+        })
+      }),
+      {
+        title: 'Indexed source',
+        description: 'The indexed chunks of a single source file'
+      },
+      async (uri, { source }) => ({
+        contents: [
+          {
+            uri: uri.href,
+            mimeType: 'text/plain',
+            text: await this.readSource(decodeURIComponent(source))
+          }
+        ]
+      })
+    )
+
+    return server
+  }
+
+  async start() {
+    await this.docs.initialize()
+    this.server = this.createServer()
+    this.transport = new StdioServerTransport()
+    await this.server.connect(this.transport)
+    console.log('MCP server connected over stdio')
+  }
+
+  async stop() {
+    if (!this.server) return
+    await this.server.close()
+    this.server = null
+    this.transport = null
+  }
+
+  async runTool(action) {
+    try {
+      return await action()
+    } catch (error) {
+      console.error('MCP server: Tool failed:', error.message)
+      return errorResult(error)
+    }
+  }
+
+  async askDocs({
+    question,
+    k,
+    filter,
+    whereDocument,
+    searchType,
+    scoreThreshold,
+    language,
+    sessionId
+  }) {
+    // Calls without a session must not share one history between clients
+    const ask = sessionId ? this.docs.ask : this.docs.askOnce
+    const result = await ask.call(this.docs, question, {
+      k,
+      filter,
+      whereDocument,
+      searchType,
+      scoreThreshold,
+      language,
+      ...(sessionId && { sessionId }),
+      withSources: true
+    })
+
+    // Numbered like the answer's [n] markers; every retrieved source is
+    // listed when the answer cites none
+    const cited = result.sources.filter(source => source.cited)
+    const sourceList = (cited.length > 0 ? cited : result.sources)
+      .map(({ index, location }) => {
+        const headings = location.headingPath
+          .map(heading => ` > ${heading}`)
+          .join('')
+        const position = [
+          location.page && `page ${location.page}`,
+          location.lines && `lines ${location.lines.from}-${location.lines.to}`
+        ].filter(Boolean)
+        const lines = position.length > 0 ? ` (${position.join(', ')})` : ''
+        return `[${index}] ${location.source}${headings}${lines}`
+      })
+      .join('\n')
+
+    return textResult(
+      sourceList ? `${result.answer}\n\nSources:\n${sourceList}` : result.answer
+    )
+  }
+
+  async searchDocs({
+    query,
+    k,
+    filter,
+    whereDocument,
+    searchType,
+    scoreThreshold
+  }) {
+    const results = await this.docs.search(query, {
+      k,
+      filter,
+      whereDocument,
+      searchType,
+      scoreThreshold,
+      withScores: true
+    })
+    return textResult(JSON.stringify(results, null, 2))
+  }
+
+  async indexDocument({ path: requested }) {
+    const filePath = this.docs.resolveDocumentPath(requested)
+    if (!filePath) {
+      throw new Error(`Path is outside the data directory: ${requested}`)
+    }
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`File not found: ${requested}`)
+    }
+
+    const result = await this.docs.ingest(filePath)
+    await this.server?.sendResourceListChanged()
+    return textResult(JSON.stringify({ path: requested, ...result }, null, 2))
+  }
+
+  async listSources() {
+    await this.docs.initialize()
+    return await this.docs.processor.getChromaStore().listSources()
+  }
+
+  async readSource(source) {
+    await this.docs.initialize()
+    const store = this.docs.processor.getChromaStore()
+    const chunks = await store.getDocumentsBySource(source)
+
+    if (chunks.length === 0) {
+      throw new Error(`Source not indexed: ${source}`)
+    }
+    return chunks.map(chunk => chunk.pageContent).join('\n\n---\n\n')
+  }
+}
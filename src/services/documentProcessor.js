@@ -1,19 +1,48 @@
-import { DocumentLoader } from '../loaders/documentLoader.js'
-import { EmbeddingService } from '../embeddings/embeddingService.js'
-import { ChromaStore } from '../vectorStore/chromaStore.js'
+import {
+  DocumentLoader,
+  UnsupportedDocumentError
+} from '../loaders/documentLoader.js'
+import { createEmbeddingService } from '../embeddings/embeddingFactory.js'
+import { createVectorStore } from '../vectorStore/storeFactory.js'
+import { DEFAULT_PERSIST_PATH } from '../vectorStore/chromaStore.js'
+import { IngestManifest, hashContent } from './ingestManifest.js'
 
 import fs from 'fs'
 import path from 'path'
-
-export class DocumentProcessor {
-  constructor() {
-    this.documentLoader = new DocumentLoader()
-    this.embeddingService = new EmbeddingService()
+import { EventEmitter } from 'events'
+
+// Editor swap files, .git and our own .docs-lm state
+const isHidden = relativePath =>
+  relativePath.split(path.sep).some(part => part.startsWith('.'))
+
+export class DocumentProcessor extends EventEmitter {
+  constructor(options = {}) {
+    super()
+    this.documentLoader = new DocumentLoader(options.dataPath, options.loaders)
+    this.embeddingService = createEmbeddingService(options.embeddings)
+    this.storeOptions = {
+      backend: options.vectorStore,
+      url: options.chromaUrl,
+      collectionName: options.collectionName,
+      persistPath: options.persistPath,
+      index: options.index,
+      embedding: {
+        provider: this.embeddingService.provider,
+        model: this.embeddingService.model
+      }
+    }
     this.chromaStore = null
-    // MemoryStore removed: using only ChromaStore
     this.currentStore = null
-    this.persistent = process.env.USE_PERSISTENT_STORAGE === 'true'
-    this.processedFiles = new Map() // Track processed files for incremental updates
+    this.persistent =
+      options.persistent ?? process.env.USE_PERSISTENT_STORAGE === 'true'
+    // Content hashes of the ingested files, for incremental updates
+    this.manifestPath =
+      options.manifestPath || process.env.INGEST_MANIFEST_PATH || null
+    this.manifest = null
+    this.watcher = null
+    this.watchTimer = null
+    this.pendingPaths = new Set()
+    this.watchQueue = Promise.resolve()
   }
 
   async initialize(persistent = null) {
@@ -41,7 +70,10 @@ export class DocumentProcessor {
 
   async initializeChromaStore() {
     try {
-      this.chromaStore = new ChromaStore(this.embeddingService.embeddings)
+      this.chromaStore = createVectorStore(
+        this.embeddingService.embeddings,
+        this.storeOptions
+      )
       await this.chromaStore.initialize(this.persistent)
       this.currentStore = this.chromaStore
       console.log(
@@ -49,26 +81,49 @@ export class DocumentProcessor {
           this.persistent ? 'persistent' : 'memory'
         } mode`
       )
+
+      this.manifest = new IngestManifest({ path: this.getManifestPath() })
+      await this.manifest.load()
     } catch (error) {
       console.error('Error initializing ChromaStore:', error.message)
       throw error
     }
   }
 
+  // Persistent collections keep their manifest next to the collection, in
+  // ingest-manifests under the store's persist path (CHROMA_PERSIST_PATH for
+  // a Chroma server); an in-memory collection starts empty on every run, so
+  // its manifest is not saved
+  getManifestPath() {
+    if (!this.chromaStore.isPersistent) return null
+    return (
+      this.manifestPath ||
+      path.join(
+        this.chromaStore.persistPath ||
+          this.storeOptions.persistPath ||
+          process.env.CHROMA_PERSIST_PATH ||
+          DEFAULT_PERSIST_PATH,
+        'ingest-manifests',
+        `${this.chromaStore.collectionName}.json`
+      )
+    )
+  }
+
   async processAllDocuments() {
     try {
       console.log('Starting document processing...')
 
-      // Load and split documents
-      const documents = await this.documentLoader.loadAndSplitDocuments()
-
+      const failed = new Set()
+      const documents = await this.documentLoader.loadDocuments({ failed })
       if (documents.length === 0) {
         console.log('No documents found to process')
-        return { processed: 0, added: 0, skipped: 0 }
       }
 
-      // Process documents with incremental detection
-      const result = await this.processDocuments(documents)
+      // Files missing from the data directory are removed from the collection
+      const result = await this.processDocuments(documents, {
+        prune: true,
+        failed
+      })
 
       console.log(`Document processing completed: ${JSON.stringify(result)}`)
       return result
@@ -78,43 +133,151 @@ export class DocumentProcessor {
     }
   }
 
-  async processDocuments(documents) {
-    const stats = { processed: 0, added: 0, skipped: 0 }
-
+  // Syncs loaded (unsplit) files into the collection: new files are added,
+  // changed ones have their chunks replaced and unchanged ones are skipped.
+  // With `prune`, ingested files absent from `documents` are removed, except
+  // the ones in `failed` (paths that failed to load).
+  // Returns file counts (processed, skipped, updated, removed) and chunk
+  // counts (added, deleted)
+  async processDocuments(documents, options = {}) {
     try {
-      const newDocuments = []
+      const plan = await this.planUpdates(documents, options)
+      return await this.applyUpdates(plan)
+    } catch (error) {
+      console.error('Error processing documents:', error.message)
+      throw error
+    }
+  }
 
-      for (const doc of documents) {
-        const fileStats = fs.statSync(doc.metadata.source)
-        const fileKey = `${doc.metadata.source}_${fileStats.mtime.getTime()}`
+  // Compares files against the manifest. Manifest entries whose chunks are
+  // no longer in the collection (cleared or replaced by an import) count as
+  // missing, and chunks of a file the manifest does not know (ingested
+  // before it existed) are replaced rather than duplicated. A file may load
+  // as several documents (PDF pages, API operations); they are hashed and
+  // replaced together. Pruning removes files that are gone, no longer
+  // included or no longer yield any document (a JSON file that stopped
+  // being an OpenAPI spec), not ones that failed to load
+  async planUpdates(documents, options = {}) {
+    const { prune = false, failed = new Set() } = options
+    const files = new Map()
+    for (const document of documents) {
+      const { source } = document.metadata
+      if (!files.has(source)) files.set(source, [])
+      files.get(source).push(document)
+    }
 
-        if (this.processedFiles.has(fileKey)) {
-          stats.skipped++
-          continue
-        }
+    const stored = await this.findStoredSources(
+      prune ? null : [...files.keys()]
+    )
+    const known = source => {
+      const entry = this.manifest.get(source)
+      return entry && (stored.has(source) || entry.chunks === 0) ? entry : null
+    }
 
-        newDocuments.push(doc)
-        this.processedFiles.set(fileKey, {
-          processedAt: new Date().toISOString(),
-          size: fileStats.size,
-          mtime: fileStats.mtime
-        })
-        stats.processed++
+    const plan = { added: [], changed: [], unchanged: [], removed: [] }
+    for (const [source, fileDocuments] of files) {
+      const hash = hashContent(
+        fileDocuments.map(document => document.pageContent).join('\0')
+      )
+      const entry = known(source)
+      const update = { source, documents: fileDocuments, hash }
+
+      if (entry?.hash === hash) {
+        plan.unchanged.push(update)
+      } else if (entry || stored.has(source)) {
+        plan.changed.push(update)
+      } else {
+        plan.added.push(update)
       }
+    }
 
-      if (newDocuments.length > 0) {
-        // Add documents to ChromaStore
-        if (this.chromaStore) {
-          await this.chromaStore.addDocuments(newDocuments)
+    // Only a full sync checks every manifest entry against the collection
+    plan.stale = (prune ? this.manifest.sources() : [...files.keys()]).filter(
+      source => this.manifest.get(source) && !known(source)
+    )
+    if (prune) {
+      plan.removed = this.manifest
+        .sources()
+        .filter(
+          source => !files.has(source) && known(source) && !failed.has(source)
+        )
+    }
+    return plan
+  }
+
+  // Which of `sources` have chunks in the collection; without sources, all
+  // stored ones, listed in a single pass for a full sync
+  async findStoredSources(sources = null) {
+    if (!sources) {
+      const listed = await this.chromaStore.listSources()
+      return new Set(listed.map(({ source }) => source))
+    }
+
+    const stored = new Set()
+    for (const source of sources) {
+      const chunks = await this.chromaStore.getDocumentsBySource(source)
+      if (chunks.length > 0) stored.add(source)
+    }
+    return stored
+  }
+
+  async applyUpdates(plan) {
+    const stats = {
+      processed: plan.added.length + plan.changed.length,
+      added: 0,
+      skipped: plan.unchanged.length,
+      updated: plan.changed.length,
+      removed: plan.removed.length,
+      deleted: 0
+    }
+
+    try {
+      plan.stale.forEach(source => this.manifest.delete(source))
+
+      // Old chunks go first; if adding fails the files are simply missing
+      // from the manifest and get added on the next sync
+      const sources = [
+        ...plan.changed.map(({ source }) => source),
+        ...plan.removed
+      ]
+      for (const source of sources) {
+        stats.deleted += await this.chromaStore.deleteBySource(source)
+        this.manifest.delete(source)
+      }
+
+      const updates = [...plan.added, ...plan.changed]
+      if (updates.length > 0) {
+        const chunks = await this.documentLoader.splitDocuments(
+          updates.flatMap(({ documents }) => documents)
+        )
+        await this.chromaStore.addDocuments(chunks)
+        stats.added = chunks.length
+
+        const ingestedAt = new Date().toISOString()
+        for (const { source, hash } of updates) {
+          const fileStats = await fs.promises.stat(source).catch(() => null)
+          this.manifest.set(source, {
+            hash,
+            size: fileStats?.size ?? null,
+            mtime: fileStats?.mtime.toISOString() ?? null,
+            chunks: chunks.filter(chunk => chunk.metadata.source === source)
+              .length,
+            ingestedAt
+          })
         }
-        stats.added = newDocuments.length
-        console.log(`Added ${newDocuments.length} new documents to ChromaStore`)
+        console.log(
+          `Added ${chunks.length} chunks from ${updates.length} files to ChromaStore`
+        )
       }
 
+      if (stats.deleted > 0) {
+        console.log(
+          `Deleted ${stats.deleted} chunks of ${stats.updated} changed and ${stats.removed} removed files`
+        )
+      }
       return stats
-    } catch (error) {
-      console.error('Error processing documents:', error.message)
-      throw error
+    } finally {
+      await this.manifest.save()
     }
   }
 
@@ -125,25 +288,18 @@ export class DocumentProcessor {
       if (!fs.existsSync(filePath)) {
         throw new Error(`File not found: ${filePath}`)
       }
-
-      // Create a temporary document loader for this specific file
-      const tempLoader = new DocumentLoader(path.dirname(filePath))
-      const documents = await tempLoader.loadDocuments()
-
-      // Filter to only the requested file
-      const targetDoc = documents.find(
-        doc => path.resolve(doc.metadata.source) === path.resolve(filePath)
-      )
-
-      if (!targetDoc) {
-        throw new Error(`Document not loaded from path: ${filePath}`)
+      // A file the next full sync would prune is not indexed on its own
+      if (!this.documentLoader.supports(filePath)) {
+        throw new UnsupportedDocumentError(
+          `Not indexed: ${filePath} has no loader or is excluded by the include/exclude globs`
+        )
       }
 
-      // Split the document
-      const splitDocs = await this.documentLoader.splitDocuments([targetDoc])
-
-      // Process the documents
-      const result = await this.processDocuments(splitDocs)
+      const documents = await this.documentLoader.loadFile(filePath)
+      if (documents.length === 0) {
+        return await this.removeEmptyDocument(filePath)
+      }
+      const result = await this.processDocuments(documents)
 
       console.log(
         `Single document processing completed: ${JSON.stringify(result)}`
@@ -155,12 +311,145 @@ export class DocumentProcessor {
     }
   }
 
+  // A file that loads without documents is removed as a full sync would
+  // prune it; returns the same counts as processDocuments
+  async removeEmptyDocument(filePath) {
+    const { deleted } = await this.removeDocumentByPath(filePath)
+    const result = {
+      processed: 0,
+      added: 0,
+      skipped: 0,
+      updated: 0,
+      removed: deleted > 0 ? 1 : 0,
+      deleted
+    }
+    console.log(
+      `No documents loaded from ${filePath}: ${JSON.stringify(result)}`
+    )
+    return result
+  }
+
+  // Drops the chunks of a file deleted from the data directory
+  async removeDocumentByPath(filePath) {
+    try {
+      const source = path.resolve(filePath)
+      const deleted = await this.chromaStore.deleteBySource(source)
+      this.manifest.delete(source)
+      await this.manifest.save()
+      console.log(`Removed ${deleted} chunks of ${source}`)
+      return { source, deleted }
+    } catch (error) {
+      console.error('Error removing document by path:', error.message)
+      throw error
+    }
+  }
+
+  /**
+   * Watches the data directory recursively and syncs files as they change.
+   * Bursts of edits are batched for `debounceMs` (WATCH_DEBOUNCE_MS, 500 by
+   * default). Each re-indexed file emits `indexed` ({ source, ...stats }),
+   * each deleted one, or one left without documents, `removed` ({ source,
+   * deleted }); failures emit `error` (error, path) and are only logged
+   * when nobody listens.
+   */
+  watch(options = {}) {
+    if (this.watcher) return this
+    const { dataPath } = this.documentLoader
+    const debounceMs =
+      options.debounceMs ?? (parseInt(process.env.WATCH_DEBOUNCE_MS) || 500)
+
+    this.watcher = fs.watch(
+      dataPath,
+      { recursive: true },
+      (eventType, filename) => {
+        if (!filename || isHidden(filename)) return
+        this.pendingPaths.add(path.join(dataPath, filename))
+        clearTimeout(this.watchTimer)
+        this.watchTimer = setTimeout(() => this.flushWatchedPaths(), debounceMs)
+      }
+    )
+    this.watcher.on('error', error => this.reportWatchError(error, dataPath))
+    console.log(`Watching ${dataPath} for changes`)
+    return this
+  }
+
+  // Stops watching; resolves once files already queued are synced
+  async unwatch() {
+    if (!this.watcher) return
+    this.watcher.close()
+    this.watcher = null
+    clearTimeout(this.watchTimer)
+    this.pendingPaths.clear()
+    await this.watchQueue
+    console.log('Stopped watching for changes')
+  }
+
+  // Batches are synced one after another so a file is never processed
+  // by two batches at once
+  flushWatchedPaths() {
+    const paths = [...this.pendingPaths]
+    this.pendingPaths.clear()
+    this.watchQueue = this.watchQueue.then(async () => {
+      for (const changedPath of paths) {
+        try {
+          await this.syncWatchedPath(changedPath)
+        } catch (error) {
+          this.reportWatchError(error, changedPath)
+        }
+      }
+    })
+    return this.watchQueue
+  }
+
+  // A path may be a file or a directory that was added, changed, renamed
+  // or deleted; ingested files at or below it that are gone are removed
+  async syncWatchedPath(changedPath) {
+    const stats = await fs.promises.stat(changedPath).catch(() => null)
+    let files = []
+    if (stats?.isDirectory()) {
+      const entries = await fs.promises.readdir(changedPath, {
+        recursive: true
+      })
+      files = entries
+        .filter(entry => !isHidden(entry))
+        .map(entry => path.join(changedPath, entry))
+    } else if (stats) {
+      files = [changedPath]
+    }
+
+    const supported = files.filter(file => this.documentLoader.supports(file))
+    for (const file of supported) {
+      const result = await this.processDocumentByPath(file)
+      if (result.processed > 0) {
+        this.emit('indexed', { source: file, ...result })
+      } else if (result.removed > 0) {
+        this.emit('removed', { source: file, deleted: result.deleted })
+      }
+    }
+
+    const gone = this.manifest
+      .sources()
+      .filter(
+        source =>
+          (source === changedPath ||
+            source.startsWith(changedPath + path.sep)) &&
+          !fs.existsSync(source)
+      )
+    for (const source of gone) {
+      this.emit('removed', await this.removeDocumentByPath(source))
+    }
+  }
+
+  reportWatchError(error, changedPath) {
+    console.error(`Error syncing ${changedPath}:`, error.message)
+    if (this.listenerCount('error') > 0) this.emit('error', error, changedPath)
+  }
+
   async refreshDatabase() {
     try {
       console.log('Refreshing database...')
 
-      // Clear processed files tracking
-      this.processedFiles.clear()
+      this.manifest.clear()
 
       // Clear ChromaStore
       if (this.chromaStore) {
@@ -184,12 +473,19 @@ export class DocumentProcessor {
         initialized: this.currentStore !== null,
         vectorStore: 'ChromaDB',
         persistent: this.persistent,
-        processedFiles: this.processedFiles.size,
+        processedFiles: this.manifest ? this.manifest.size : 0,
+        manifest: this.manifest ? this.manifest.path : null,
         documentCount: 0
       }
 
       if (this.chromaStore) {
+        status.backend = this.chromaStore.backend
+        status.persistent = this.chromaStore.isPersistent
         status.documentCount = await this.chromaStore.getDocumentCount()
+        status.embedding = this.chromaStore.getEmbeddingInfo()
+        if (this.chromaStore.getIndexInfo) {
+          status.index = this.chromaStore.getIndexInfo()
+        }
       }
 
       return status
@@ -215,27 +511,31 @@ export class DocumentProcessor {
     return this.chromaStore
   }
 
-  // Check if incremental updates are needed
-  async checkForUpdates() {
+  // Reports the added, changed and removed files without touching the
+  // collection; `dryRun: false` applies the updates as well
+  async checkForUpdates(options = {}) {
+    const { dryRun = true } = options
     try {
-      const documents = await this.documentLoader.loadDocuments()
-      const updatesNeeded = []
-
-      for (const doc of documents) {
-        const fileStats = fs.statSync(doc.metadata.source)
-        const fileKey = `${doc.metadata.source}_${fileStats.mtime.getTime()}`
-
-        if (!this.processedFiles.has(fileKey)) {
-          updatesNeeded.push(doc.metadata.source)
-        }
-      }
-
-      return {
-        hasUpdates: updatesNeeded.length > 0,
-        filesToUpdate: updatesNeeded,
-        totalFiles: documents.length,
-        processedFiles: this.processedFiles.size
+      const failed = new Set()
+      const documents = await this.documentLoader.loadDocuments({ failed })
+      const plan = await this.planUpdates(documents, { prune: true, failed })
+      const sources = entries => entries.map(({ source }) => source)
+
+      const report = {
+        hasUpdates:
+          plan.added.length + plan.changed.length + plan.removed.length > 0,
+        added: sources(plan.added),
+        changed: sources(plan.changed),
+        removed: plan.removed,
+        unchanged: plan.unchanged.length,
+        filesToUpdate: sources([...plan.added, ...plan.changed]),
+        totalFiles:
+          plan.added.length + plan.changed.length + plan.unchanged.length,
+        processedFiles: this.manifest.size,
+        dryRun
       }
+      if (!dryRun) report.result = await this.applyUpdates(plan)
+      return report
     } catch (error) {
       console.error('Error checking for updates:', error.message)
       throw error
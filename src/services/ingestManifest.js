@@ -0,0 +1,86 @@
+import fs from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+import { writeAtomic } from '../vectorStore/collectionStorage.js'
+
+const VERSION = 1
+
+export function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex')
+}
+
+/**
+ * Records which files are in the collection and the hash of the content
+ * they were ingested with, so a sync can tell added, changed and removed
+ * files apart. Entries are `{ hash, size, mtime, chunks, ingestedAt }` keyed
+ * by source. Without a path the manifest lives in memory only, matching an
+ * in-memory collection.
+ */
+export class IngestManifest {
+  constructor(options = {}) {
+    this.path = options.path || null
+    this.files = new Map()
+  }
+
+  async load() {
+    this.files.clear()
+    if (!this.path) return this
+
+    try {
+      const data = JSON.parse(await fs.promises.readFile(this.path, 'utf8'))
+      for (const [source, entry] of Object.entries(data.files || {})) {
+        this.files.set(source, entry)
+      }
+      console.log(`Loaded ingestion manifest with ${this.files.size} files`)
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Error loading ingestion manifest:', error.message)
+        throw error
+      }
+    }
+    return this
+  }
+
+  async save() {
+    if (!this.path) return
+
+    try {
+      await fs.promises.mkdir(path.dirname(this.path), { recursive: true })
+      await writeAtomic(
+        this.path,
+        JSON.stringify(
+          { version: VERSION, files: Object.fromEntries(this.files) },
+          null,
+          2
+        )
+      )
+    } catch (error) {
+      console.error('Error saving ingestion manifest:', error.message)
+      throw error
+    }
+  }
+
+  get(source) {
+    return this.files.get(source) || null
+  }
+
+  set(source, entry) {
+    this.files.set(source, entry)
+  }
+
+  delete(source) {
+    return this.files.delete(source)
+  }
+
+  sources() {
+    return [...this.files.keys()]
+  }
+
+  clear() {
+    this.files.clear()
+  }
+
+  get size() {
+    return this.files.size
+  }
+}
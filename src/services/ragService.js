@@ -1,12 +1,41 @@
-import { AnthropicService } from '../llm/anthropicService.js'
-import { ChromaStore } from '../vectorStore/chromaStore.js'
-import { EmbeddingService } from '../embeddings/embeddingService.js'
+import { createLLMService } from '../llm/llmFactory.js'
+import { createVectorStore } from '../vectorStore/storeFactory.js'
+import { createEmbeddingService } from '../embeddings/embeddingFactory.js'
+import { AIMessage, HumanMessage } from '@langchain/core/messages'
 import { RAGChain } from '../chains/ragChain.js'
+import { hasFilter } from '../vectorStore/metadataFilter.js'
+import { resolveSearchDefaults } from '../vectorStore/baseVectorStore.js'
+import { createReranker } from '../rerankers/rerankerFactory.js'
+import { createSessionManager } from '../history/historyFactory.js'
 
 export class RAGService {
-  constructor(existingChromaStore = null) {
-    this.anthropicService = new AnthropicService()
-    this.embeddingService = new EmbeddingService()
+  constructor(existingChromaStore = null, options = {}) {
+    this.llmService = createLLMService(options.llm)
+    this.embeddingOptions = options.embeddings
+    this.embeddingService =
+      options.embeddingService || createEmbeddingService(this.embeddingOptions)
+    this.sharedEmbeddingService = Boolean(options.embeddingService)
+    this.storeOptions = {
+      backend: options.vectorStore,
+      url: options.chromaUrl,
+      collectionName: options.collectionName,
+      persistPath: options.persistPath,
+      index: options.index,
+      embedding: {
+        provider: this.embeddingService.provider,
+        model: this.embeddingService.model
+      }
+    }
+    this.searchType =
+      options.searchType || process.env.SEARCH_TYPE || 'similarity'
+    this.searchDefaults = resolveSearchDefaults(options)
+    this.rewriteQuestions =
+      options.rewriteQuestions ?? process.env.REWRITE_QUESTIONS !== 'false'
+    this.rerankerOptions = options.reranker
+    this.reranker = null
+    this.historyOptions = options.history
+    this.sessions = null
+    this.promptOptions = options.prompts
     this.chromaStore = existingChromaStore
     this.ragChain = null
     this.isInitialized = false
@@ -25,19 +54,20 @@ export class RAGService {
       if (existingChromaStore) {
         console.log('Using existing ChromaStore instance')
         this.chromaStore = existingChromaStore
-        this.embeddingService = new EmbeddingService()
-        await this.embeddingService.initialize()
+        await this.initializeEmbeddingService()
       } else if (this.chromaStore) {
         console.log('Using ChromaStore instance from constructor')
-        this.embeddingService = new EmbeddingService()
-        await this.embeddingService.initialize()
+        await this.initializeEmbeddingService()
       } else {
         // Initialize embedding service first
         await this.embeddingService.initialize()
         console.log('Embedding service initialized')
 
         // Initialize ChromaStore with embedding function
-        this.chromaStore = new ChromaStore(this.embeddingService.embeddings)
+        this.chromaStore = createVectorStore(
+          this.embeddingService.embeddings,
+          this.storeOptions
+        )
         await this.chromaStore.initialize(persistent)
         console.log(
           `ChromaStore initialized in ${
@@ -46,15 +76,40 @@ export class RAGService {
         )
       }
 
-      // Initialize Anthropic LLM
-      await this.anthropicService.initialize()
-      console.log('Anthropic service initialized')
+      // Initialize the configured LLM provider
+      await this.llmService.initialize()
+      console.log(`LLM service initialized (${this.llmService.provider})`)
 
-      // Create retriever from ChromaStore
-      const retriever = this.chromaStore.getRetriever({ k: 4 })
+      this.reranker = createReranker(this.rerankerOptions, {
+        llmService: this.llmService
+      })
+      if (this.reranker) {
+        await this.reranker.initialize()
+        console.log(
+          `Reranker initialized (${this.reranker.provider}, ${this.reranker.candidates} candidates)`
+        )
+      }
+
+      this.sessions = createSessionManager(this.historyOptions, {
+        llmService: this.llmService
+      })
+      await this.sessions.initialize()
+      console.log(
+        `Chat history store initialized (${this.sessions.store.backend})`
+      )
 
       // Initialize RAG chain
-      this.ragChain = new RAGChain(this.anthropicService.llm, retriever)
+      this.ragChain = new RAGChain(
+        this.llmService.llm,
+        this.createDefaultRetriever(),
+        {
+          reranker: this.reranker,
+          topK: 4,
+          rewriteQuestions: this.rewriteQuestions,
+          sessions: this.sessions,
+          prompts: this.promptOptions
+        }
+      )
       await this.ragChain.initialize()
       console.log('RAG chain initialized')
 
@@ -71,37 +126,57 @@ export class RAGService {
     }
   }
 
+  async initializeEmbeddingService() {
+    // An embedding service shared by the caller is already initialized
+    if (this.sharedEmbeddingService) return
+
+    this.embeddingService = createEmbeddingService(this.embeddingOptions)
+    await this.embeddingService.initialize()
+  }
+
   async ask(question, options = {}) {
     this.verifyInitialization()
 
-    const { k = 4, filter = {}, useCache = this.cacheEnabled } = options
+    const { sessionId, useCache = this.cacheEnabled } = options
 
     try {
-      // Check cache first if enabled
-      if (useCache && this.queryCache.has(question)) {
+      const retrieval = this.getRetrieval(options)
+      const cacheKey = this.getCacheKey(question, options)
+      // A follow-up's answer depends on the conversation, so only questions
+      // that open a session are cached
+      const memory = this.ragChain.getMemory(sessionId)
+      const history = await memory.getMessages()
+      const cacheable = useCache && history.length === 0
+
+      // A cached answer still opens the session, so follow-ups have context
+      if (cacheable && this.queryCache.has(cacheKey)) {
         console.log('Returning cached response for question')
-        return this.queryCache.get(question)
+        const cached = this.queryCache.get(cacheKey)
+        await memory.addMessages([
+          new HumanMessage(question),
+          new AIMessage(cached.answer)
+        ])
+        return { ...cached, chatHistory: await memory.getMessages() }
       }
 
       console.log(`Processing question: "${question}"`)
 
-      // Update retriever if custom parameters provided
-      if (k !== 4 || Object.keys(filter).length > 0) {
-        const customRetriever = this.chromaStore.getRetriever({ k, filter })
-        this.ragChain.retriever = customRetriever
-      }
-
       // Delegate to RAGChain for processing
-      const result = await this.ragChain.ask(question)
-
-      // Cache the result if enabled
-      if (useCache) {
-        this.cacheResult(question, result)
-      }
+      const result = await this.ragChain.ask(question, {
+        sessionId,
+        ...retrieval,
+        ...this.getPromptOptions(options)
+      })
 
       console.log('Question processed successfully')
-      return {
+      const response = {
         answer: result.answer,
+        question: result.question,
+        standaloneQuestion: result.standaloneQuestion,
+        prompt: result.prompt,
+        language: result.language,
+        citations: result.citations,
+        invalidCitations: result.invalidCitations,
         sourceDocuments: result.sourceDocuments,
         chatHistory: result.chatHistory,
         metadata: {
@@ -110,12 +185,53 @@ export class RAGService {
           cached: false
         }
       }
+
+      // Cached without the history, which belongs to this session only
+      if (cacheable) {
+        const { chatHistory, ...cachedResponse } = response
+        this.cacheResult(cacheKey, cachedResponse)
+      }
+      return response
     } catch (error) {
       console.error('Error processing question:', error.message)
       throw error
     }
   }
 
+  async *askStream(question, options = {}) {
+    this.verifyInitialization()
+
+    const { sessionId, signal } = options
+    console.log(`Streaming question: "${question}"`)
+
+    const retrieval = this.getRetrieval(options)
+
+    try {
+      for await (const event of this.ragChain.askStream(question, {
+        sessionId,
+        signal,
+        ...retrieval,
+        ...this.getPromptOptions(options)
+      })) {
+        if (event.type === 'end') {
+          yield {
+            ...event,
+            metadata: {
+              documentsRetrieved: event.sourceDocuments.length,
+              questionLength: question.length,
+              cached: false
+            }
+          }
+        } else {
+          yield event
+        }
+      }
+    } catch (error) {
+      console.error('Error streaming question:', error.message)
+      throw error
+    }
+  }
+
   async askWithSources(question, options = {}) {
     this.verifyInitialization()
 
@@ -123,10 +239,21 @@ export class RAGService {
       console.log(`Processing question with sources: "${question}"`)
 
       // Use RAGChain's askWithSources method
-      const result = await this.ragChain.askWithSources(question)
+      const result = await this.ragChain.askWithSources(question, {
+        sessionId: options.sessionId,
+        citedOnly: options.citedOnly,
+        ...this.getRetrieval(options),
+        ...this.getPromptOptions(options)
+      })
 
       return {
         answer: result.answer,
+        question: result.question,
+        standaloneQuestion: result.standaloneQuestion,
+        prompt: result.prompt,
+        language: result.language,
+        citations: result.citations,
+        invalidCitations: result.invalidCitations,
         sources: result.sources,
         chatHistory: result.chatHistory,
         metadata: {
@@ -141,7 +268,7 @@ export class RAGService {
     }
   }
 
-  async similaritySearch(query, k = 4, filter = {}) {
+  async similaritySearch(query, k = 4, filter = {}, whereDocument = {}) {
     this.verifyInitialization()
 
     try {
@@ -149,7 +276,8 @@ export class RAGService {
       const documents = await this.chromaStore.similaritySearch(
         query,
         k,
-        filter
+        filter,
+        whereDocument
       )
       console.log(`Found ${documents.length} relevant documents`)
       return documents
@@ -159,11 +287,11 @@ export class RAGService {
     }
   }
 
-  clearHistory() {
+  async clearHistory(sessionId) {
     this.verifyInitialization()
 
     try {
-      this.ragChain.clearMemory()
+      await this.ragChain.clearMemory(sessionId)
       this.queryCache.clear()
       console.log('Chat history and query cache cleared')
     } catch (error) {
@@ -172,11 +300,11 @@ export class RAGService {
     }
   }
 
-  async getHistory() {
+  async getHistory(sessionId) {
     this.verifyInitialization()
 
     try {
-      const memory = this.ragChain.getMemory()
+      const memory = this.ragChain.getMemory(sessionId)
       return await memory.getMessages()
     } catch (error) {
       console.error('Error getting history:', error.message)
@@ -184,6 +312,29 @@ export class RAGService {
     }
   }
 
+  async listSessions() {
+    this.verifyInitialization()
+
+    try {
+      return await this.sessions.listSessions()
+    } catch (error) {
+      console.error('Error listing sessions:', error.message)
+      throw error
+    }
+  }
+
+  // Returns false when the session did not exist
+  async deleteSession(sessionId) {
+    this.verifyInitialization()
+
+    try {
+      return await this.sessions.deleteSession(sessionId)
+    } catch (error) {
+      console.error('Error deleting session:', error.message)
+      throw error
+    }
+  }
+
   async switchToPersistent(preserveData = true) {
     this.verifyInitialization()
 
@@ -193,8 +344,7 @@ export class RAGService {
       this.isPersistent = true
 
       // Update retriever reference in RAG chain
-      const retriever = this.chromaStore.getRetriever({ k: 4 })
-      this.ragChain.retriever = retriever
+      this.ragChain.retriever = this.createDefaultRetriever()
 
       console.log('Successfully switched to persistent mode')
     } catch (error) {
@@ -212,8 +362,7 @@ export class RAGService {
       this.isPersistent = false
 
       // Update retriever reference in RAG chain
-      const retriever = this.chromaStore.getRetriever({ k: 4 })
-      this.ragChain.retriever = retriever
+      this.ragChain.retriever = this.createDefaultRetriever()
 
       console.log('Successfully switched to memory mode')
     } catch (error) {
@@ -240,8 +389,11 @@ export class RAGService {
         cacheSize,
         cacheEnabled: this.cacheEnabled,
         services: {
-          anthropic: this.anthropicService ? true : false,
+          llm: this.llmService ? this.llmService.provider : false,
           embedding: this.embeddingService ? true : false,
+          reranker: this.reranker ? this.reranker.provider : false,
+          history: this.sessions ? this.sessions.store.backend : false,
+          prompt: this.ragChain ? this.ragChain.prompts.template : false,
           chromaStore: this.chromaStore ? true : false,
           ragChain: this.ragChain ? true : false
         }
@@ -255,6 +407,111 @@ export class RAGService {
     }
   }
 
+  // Per-question retrieval settings; `searchType: 'hybrid'` fuses vector
+  // and BM25 rankings, tuned by `hybrid: { fusion, alpha }`, 'mmr' trades
+  // relevance for diversity (`fetchK`, `lambda`) and
+  // 'similarity_score_threshold' drops chunks below `scoreThreshold`.
+  // `rerank: false` skips the configured reranker
+  getRetrievalOptions(options = {}) {
+    const {
+      k = 4,
+      filter = {},
+      whereDocument = {},
+      searchType = this.searchType,
+      hybrid = {},
+      fetchK = this.searchDefaults.fetchK,
+      lambda = this.searchDefaults.lambda,
+      scoreThreshold = this.searchDefaults.scoreThreshold,
+      rerank = true
+    } = options
+    const isDefault =
+      k === 4 &&
+      !hasFilter(filter) &&
+      !hasFilter(whereDocument) &&
+      searchType === this.searchType &&
+      Object.keys(hybrid).length === 0 &&
+      fetchK === this.searchDefaults.fetchK &&
+      lambda === this.searchDefaults.lambda &&
+      scoreThreshold === this.searchDefaults.scoreThreshold &&
+      (rerank || !this.reranker)
+
+    return {
+      k,
+      filter,
+      whereDocument,
+      searchType,
+      hybrid,
+      fetchK,
+      lambda,
+      scoreThreshold,
+      rerank: Boolean(rerank && this.reranker),
+      isDefault
+    }
+  }
+
+  // The chain's retriever over-fetches candidates when a reranker is set
+  createDefaultRetriever() {
+    return this.chromaStore.getRetriever({
+      k: this.reranker ? Math.max(this.reranker.candidates, 4) : 4,
+      searchType: this.searchType,
+      ...this.searchDefaults
+    })
+  }
+
+  // Returns the RAGChain options for one question: a scoped retriever
+  // (undefined keeps the chain's default), the reranker and how many
+  // documents reach the prompt. Filters are validated here because the
+  // retriever swallows search errors
+  getRetrieval(options = {}) {
+    const { isDefault, rerank, ...retrieval } =
+      this.getRetrievalOptions(options)
+    const reranker = rerank ? this.reranker : null
+    if (isDefault) return { reranker, topK: retrieval.k }
+
+    this.chromaStore.assertValidFilters(
+      retrieval.filter,
+      retrieval.whereDocument
+    )
+    const retriever = this.chromaStore.getRetriever({
+      ...retrieval,
+      k: reranker ? Math.max(reranker.candidates, retrieval.k) : retrieval.k
+    })
+    return { retriever, reranker, topK: retrieval.k }
+  }
+
+  // Per-question prompt template name, language and custom variables;
+  // unset ones keep the configured defaults
+  getPromptOptions(options = {}) {
+    const { prompt, language, promptVariables } = options
+    return { prompt, language, promptVariables }
+  }
+
+  // Cached answers may cite chunks that changed; they are dropped whenever
+  // the processor re-indexes or removes a file (DocumentProcessor.watch).
+  // Returns a function that unsubscribes
+  invalidateCacheOn(processor) {
+    const clear = ({ source }) => {
+      if (this.queryCache.size === 0) return
+      this.queryCache.clear()
+      console.log(`Query cache cleared after changes to ${source}`)
+    }
+    processor.on('indexed', clear)
+    processor.on('removed', clear)
+    return () => {
+      processor.off('indexed', clear)
+      processor.off('removed', clear)
+    }
+  }
+
+  getCacheKey(question, options = {}) {
+    const { isDefault, ...retrieval } = this.getRetrievalOptions(options)
+    const prompt = this.getPromptOptions(options)
+    const defaultPrompt = Object.values(prompt).every(value => !value)
+    return isDefault && defaultPrompt
+      ? question
+      : JSON.stringify([question, retrieval, prompt])
+  }
+
   cacheResult(question, result) {
     if (this.queryCache.size >= this.maxCacheSize) {
       // Remove oldest entry (FIFO)
@@ -298,8 +555,8 @@ export class RAGService {
     return this.ragChain
   }
 
-  getAnthropicService() {
+  getLLMService() {
     this.verifyInitialization()
-    return this.anthropicService
+    return this.llmService
   }
 }
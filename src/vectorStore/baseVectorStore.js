@@ -0,0 +1,534 @@
+import { createHash } from 'crypto'
+import { BaseRetriever } from '@langchain/core/retrievers'
+import {
+  matchesDocument,
+  validateDocumentFilter,
+  validateFilter
+} from './metadataFilter.js'
+import { Bm25Index } from './bm25Index.js'
+import { fuseRankings, validateFusion } from './rankFusion.js'
+import { maximalMarginalRelevance } from './mmr.js'
+
+// Version 2 records which embedding model produced the stored vectors
+export const COLLECTION_SCHEMA_VERSION = 2
+
+export const SEARCH_TYPES = [
+  'similarity',
+  'hybrid',
+  'mmr',
+  'similarity_score_threshold'
+]
+
+// Defaults for the mmr and similarity_score_threshold search types;
+// explicit options win over MMR_FETCH_K, MMR_LAMBDA and SEARCH_SCORE_THRESHOLD
+export function resolveSearchDefaults(options = {}) {
+  const fromEnv = name =>
+    process.env[name] ? Number(process.env[name]) : undefined
+
+  return {
+    fetchK: options.fetchK ?? fromEnv('MMR_FETCH_K'),
+    lambda: options.lambda ?? fromEnv('MMR_LAMBDA'),
+    scoreThreshold: options.scoreThreshold ?? fromEnv('SEARCH_SCORE_THRESHOLD')
+  }
+}
+
+// Checks the retrieval options accepted by searchByType() and the retriever
+export function validateSearchOptions(options = {}) {
+  const { searchType = 'similarity', lambda, fetchK, scoreThreshold } = options
+  if (!SEARCH_TYPES.includes(searchType)) {
+    throw new Error(
+      `Unknown search type: ${searchType}. Available: ${SEARCH_TYPES.join(', ')}`
+    )
+  }
+  validateFusion(options.hybrid)
+
+  if (lambda !== undefined && !(lambda >= 0 && lambda <= 1)) {
+    throw new Error(`MMR lambda must be between 0 and 1, got ${lambda}`)
+  }
+  if (fetchK !== undefined && !(Number.isInteger(fetchK) && fetchK > 0)) {
+    throw new Error(`fetchK must be a positive integer, got ${fetchK}`)
+  }
+  if (
+    searchType === 'similarity_score_threshold' &&
+    typeof scoreThreshold !== 'number'
+  ) {
+    throw new Error(
+      'similarity_score_threshold search requires a numeric scoreThreshold'
+    )
+  }
+}
+
+const sha256 = text => createHash('sha256').update(text).digest('hex')
+
+// Content-addressed: the same text at the same position of the same source
+// always gets the same ID
+export function chunkId(source, position, content) {
+  return sha256(`${source}\0${position}\0${sha256(content)}`).slice(0, 32)
+}
+
+// IDs for documents about to be stored. The position of a chunk counts the
+// documents of its source that precede it in the batch, so a file's chunks
+// must be added together and in order
+export function assignChunkIds(documents) {
+  const positions = new Map()
+  return documents.map(document => {
+    const source = document.metadata?.source || 'unknown'
+    const position = positions.get(source) ?? 0
+    positions.set(source, position + 1)
+    return chunkId(source, position, document.pageContent)
+  })
+}
+
+export class EmbeddingMismatchError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'EmbeddingMismatchError'
+  }
+}
+
+/**
+ * Custom retriever class that extends LangChain's BaseRetriever
+ */
+export class ChromaRetriever extends BaseRetriever {
+  static lc_name() {
+    return 'ChromaRetriever'
+  }
+
+  constructor(chromaStore, options = {}) {
+    super()
+    this.chromaStore = chromaStore
+    this.k = options.k || 4
+    this.filter = options.filter || {}
+    this.whereDocument = options.whereDocument || {}
+    this.searchType = options.searchType || 'similarity'
+    // Fusion options for hybrid search, see rankFusion.js
+    this.hybrid = options.hybrid || {}
+    // Candidates and diversity for mmr, see mmr.js
+    this.fetchK = options.fetchK
+    this.lambda = options.lambda
+    // Minimum score for similarity_score_threshold
+    this.scoreThreshold = options.scoreThreshold
+    validateSearchOptions(this.getSearchOptions())
+
+    // Required LangChain properties
+    this.lc_namespace = ['docs-lm', 'chromastore', 'retrievers']
+  }
+
+  getSearchOptions() {
+    return {
+      k: this.k,
+      filter: this.filter,
+      whereDocument: this.whereDocument,
+      searchType: this.searchType,
+      hybrid: this.hybrid,
+      fetchK: this.fetchK,
+      lambda: this.lambda,
+      scoreThreshold: this.scoreThreshold
+    }
+  }
+
+  async search(query) {
+    const results = await this.chromaStore.searchByType(
+      query,
+      this.getSearchOptions()
+    )
+    return results.map(([document]) => document)
+  }
+
+  async _getRelevantDocuments(query) {
+    try {
+      console.log(`ChromaRetriever: Getting relevant documents for: "${query}"`)
+      const results = await this.search(query)
+
+      console.log(`ChromaRetriever: Found ${results.length} relevant documents`)
+
+      // Ensure each document has the correct structure
+      const validatedResults = results.map(doc => ({
+        id: doc.id,
+        pageContent: doc.pageContent || '',
+        metadata: doc.metadata || {}
+      }))
+
+      return validatedResults
+    } catch (error) {
+      console.error(
+        'ChromaRetriever: Error getting relevant documents:',
+        error.message
+      )
+      return []
+    }
+  }
+}
+
+/**
+ * Contract shared by every vector store backend. Subclasses implement the
+ * storage methods below; embedding bookkeeping, source listing and the
+ * LangChain retriever are provided here. Run src/demos/store-conformance.js
+ * against a new backend before registering it in storeFactory.js.
+ *
+ * Documents are `{ pageContent, metadata }`; stored records and search
+ * results add an `id`, and scores are cosine similarities (higher is
+ * closer). IDs come from assignChunkIds(): adding a document whose ID is
+ * already stored replaces the record, so re-adding a file never duplicates
+ * its chunks. Filters use the Chroma-style language from metadataFilter.js:
+ * `filter` matches metadata, `whereDocument` matches the chunk text.
+ */
+export class BaseVectorStore {
+  constructor(embeddingFunction, options = {}) {
+    this.backend = null
+    this.embeddingFunction = embeddingFunction
+    this.collectionName =
+      options.collectionName ||
+      process.env.CHROMA_COLLECTION_NAME ||
+      'docs_collection'
+    this.isPersistent = false
+    // Model the embedding function uses vs. model the stored vectors came from
+    this.configuredEmbedding = {
+      provider: options.embedding?.provider || null,
+      model: options.embedding?.model || null
+    }
+    this.embeddingInfo = { ...this.configuredEmbedding, dimension: null }
+  }
+
+  // Loads or creates the collection; returns the store
+  async initialize(persistent = false, collectionName = null) {
+    this.notImplemented('initialize')
+  }
+
+  // Upserts: records with the same ID are replaced
+  async addDocuments(documents) {
+    this.notImplemented('addDocuments')
+  }
+
+  // Returns documents ordered from most to least similar
+  async similaritySearch(query, k = 4, filter = {}, whereDocument = {}) {
+    const results = await this.searchWithScores(query, k, filter, whereDocument)
+    return results.map(([document]) => document)
+  }
+
+  // Returns [document, score] pairs ordered by descending score
+  async searchWithScores(query, k = 4, filter = {}, whereDocument = {}) {
+    this.notImplemented('searchWithScores')
+  }
+
+  // Like searchWithScores, but returns [document, score, embedding] triples
+  // with the stored vectors, which maximal marginal relevance compares
+  async searchWithEmbeddings(query, k = 4, filter = {}, whereDocument = {}) {
+    this.notImplemented('searchWithEmbeddings')
+  }
+
+  // Picks k diverse documents out of the fetchK most similar ones, so
+  // overlapping chunks of the same passage do not fill every slot
+  async maxMarginalRelevanceSearch(
+    query,
+    k = 4,
+    filter = {},
+    whereDocument = {},
+    options = {}
+  ) {
+    const { fetchK = 20, lambda = 0.5 } = options
+    const candidates = await this.searchWithEmbeddings(
+      query,
+      Math.max(fetchK, k),
+      filter,
+      whereDocument
+    )
+
+    const selected = maximalMarginalRelevance(
+      candidates.map(([, score, embedding]) => ({ score, embedding })),
+      k,
+      lambda
+    )
+    return selected.map(index => [candidates[index][0], candidates[index][1]])
+  }
+
+  // Runs the retrieval selected by `searchType` (see SEARCH_TYPES) and
+  // returns [document, score] pairs
+  async searchByType(query, options = {}) {
+    validateSearchOptions(options)
+    const {
+      k = 4,
+      filter = {},
+      whereDocument = {},
+      searchType = 'similarity'
+    } = options
+
+    switch (searchType) {
+      case 'hybrid':
+        return await this.hybridSearch(
+          query,
+          k,
+          filter,
+          whereDocument,
+          options.hybrid
+        )
+      case 'mmr':
+        return await this.maxMarginalRelevanceSearch(
+          query,
+          k,
+          filter,
+          whereDocument,
+          { fetchK: options.fetchK, lambda: options.lambda }
+        )
+      case 'similarity_score_threshold': {
+        // Returns fewer than k documents rather than weak matches
+        const results = await this.searchWithScores(
+          query,
+          k,
+          filter,
+          whereDocument
+        )
+        return results.filter(([, score]) => score >= options.scoreThreshold)
+      }
+      default:
+        return await this.searchWithScores(query, k, filter, whereDocument)
+    }
+  }
+
+  // Returns [document, score] pairs ranked by BM25 keyword relevance. This
+  // default indexes the matching records on every call; backends that keep
+  // a Bm25Index up to date override it
+  async lexicalSearch(query, k = 4, filter = {}, whereDocument = {}) {
+    this.assertValidFilters(filter, whereDocument)
+    const records = new Map()
+    const index = new Bm25Index()
+
+    for (const record of await this.getDocuments(filter)) {
+      if (!matchesDocument(record.pageContent, whereDocument)) continue
+      records.set(record.id, record)
+      index.add(record.id, record.pageContent)
+    }
+
+    return index.search(query, k).map(({ id, score }) => [
+      {
+        id,
+        pageContent: records.get(id).pageContent,
+        metadata: records.get(id).metadata
+      },
+      score
+    ])
+  }
+
+  // Fuses the vector and BM25 rankings of `fetchK` candidates each; options
+  // are passed to fuseRankings (fusion, alpha, rrfK)
+  async hybridSearch(
+    query,
+    k = 4,
+    filter = {},
+    whereDocument = {},
+    options = {}
+  ) {
+    validateFusion(options)
+    const fetchK = options.fetchK || Math.max(k * 4, 20)
+
+    const vectorResults = await this.searchWithScores(
+      query,
+      fetchK,
+      filter,
+      whereDocument
+    )
+    const lexicalResults = await this.lexicalSearch(
+      query,
+      fetchK,
+      filter,
+      whereDocument
+    )
+    return fuseRankings(vectorResults, lexicalResults, options).slice(0, k)
+  }
+
+  // Returns stored records `{ id, pageContent, metadata }` matching the filter
+  async getDocuments(filter = {}) {
+    this.notImplemented('getDocuments')
+  }
+
+  async deleteDocuments(ids) {
+    this.notImplemented('deleteDocuments')
+  }
+
+  // Stored chunks of one file, in the order they were added
+  async getDocumentsBySource(source) {
+    return await this.getDocuments({ source })
+  }
+
+  // Removes every chunk of a file; returns how many were deleted
+  async deleteBySource(source) {
+    const ids = (await this.getDocumentsBySource(source)).map(({ id }) => id)
+    if (ids.length > 0) await this.deleteDocuments(ids)
+    return ids.length
+  }
+
+  async getDocumentCount() {
+    this.notImplemented('getDocumentCount')
+  }
+
+  async listCollections() {
+    return [this.collectionName]
+  }
+
+  // Returns `{ schemaVersion, collectionName, embedding, data }` where data
+  // holds parallel ids, documents, embeddings and metadatas arrays
+  async exportData() {
+    this.notImplemented('exportData')
+  }
+
+  // Records with an ID that is already stored replace it
+  async importData(data) {
+    this.notImplemented('importData')
+  }
+
+  async reembedCollection(options = {}) {
+    this.notImplemented('reembedCollection')
+  }
+
+  async clearCollection() {
+    this.notImplemented('clearCollection')
+  }
+
+  // Flushes pending writes and releases connections
+  async close() {}
+
+  // Synchronous emptiness check used by the embedding bookkeeping
+  isEmpty() {
+    this.notImplemented('isEmpty')
+  }
+
+  verifyInitialization() {}
+
+  // Throws InvalidFilterError before a malformed filter reaches the backend
+  assertValidFilters(filter, whereDocument) {
+    validateFilter(filter)
+    validateDocumentFilter(whereDocument)
+  }
+
+  async listSources() {
+    const counts = new Map()
+    for (const { metadata } of await this.getDocuments()) {
+      const source = metadata?.source || 'unknown'
+      counts.set(source, (counts.get(source) || 0) + 1)
+    }
+
+    return [...counts.entries()]
+      .map(([source, chunks]) => ({ source, chunks }))
+      .sort((a, b) => a.source.localeCompare(b.source))
+  }
+
+  async switchMode(persistent, preserveData = true) {
+    console.log(`${this.constructor.name} does not switch modes, unchanged`)
+  }
+
+  async switchToPersistent() {
+    return await this.switchMode(true, true)
+  }
+
+  async switchToMemory() {
+    return await this.switchMode(false, true)
+  }
+
+  getRetriever(options = {}) {
+    this.verifyInitialization()
+
+    const defaultOptions = { k: 4, searchType: 'similarity' }
+    const searchOptions = { ...defaultOptions, ...options }
+
+    // Return a proper LangChain retriever using our custom class
+    return new ChromaRetriever(this, searchOptions)
+  }
+
+  async generateEmbeddings(texts) {
+    try {
+      return await this.embeddingFunction.embedDocuments(texts)
+    } catch (error) {
+      console.error('Error generating embeddings:', error.message)
+      throw error
+    }
+  }
+
+  getEmbeddingInfo() {
+    return {
+      ...this.embeddingInfo,
+      configured: { ...this.configuredEmbedding },
+      compatible: this.getEmbeddingMismatch() === null
+    }
+  }
+
+  getEmbeddingMismatch() {
+    const stored = this.embeddingInfo
+    const configured = this.configuredEmbedding
+
+    if (this.isEmpty() || !stored.model || !configured.model) {
+      return null
+    }
+    if (
+      stored.model === configured.model &&
+      stored.provider === configured.provider
+    ) {
+      return null
+    }
+
+    return (
+      `Collection ${this.collectionName} was embedded with ${stored.provider}/${stored.model} ` +
+      `(${stored.dimension} dimensions) but the configured embedding is ${configured.provider}/${configured.model}. ` +
+      'Rebuild the vectors with reembedCollection() (docs-lm reembed) or restore the previous embedding settings.'
+    )
+  }
+
+  assertEmbeddingCompatible() {
+    const mismatch = this.getEmbeddingMismatch()
+    if (mismatch) {
+      throw new EmbeddingMismatchError(mismatch)
+    }
+  }
+
+  assertDimension(vectors) {
+    for (const vector of vectors) {
+      if (this.embeddingInfo.dimension === null) {
+        this.embeddingInfo.dimension = vector.length
+      } else if (vector.length !== this.embeddingInfo.dimension) {
+        throw new EmbeddingMismatchError(
+          `Embedding has ${vector.length} dimensions but collection ${this.collectionName} ` +
+            `stores ${this.embeddingInfo.dimension}-dimensional vectors from ${this.embeddingInfo.model}. ` +
+            'Rebuild the vectors with reembedCollection() (docs-lm reembed).'
+        )
+      }
+    }
+  }
+
+  // An empty collection adopts the exported model; a populated one must match
+  checkImportedEmbedding(imported) {
+    if (!imported?.model) return
+
+    if (this.isEmpty()) {
+      this.embeddingInfo = {
+        provider: imported.provider || null,
+        model: imported.model,
+        dimension: imported.dimension || null
+      }
+      return
+    }
+
+    if (
+      imported.model !== this.embeddingInfo.model ||
+      (imported.provider || null) !== this.embeddingInfo.provider
+    ) {
+      throw new EmbeddingMismatchError(
+        `Cannot import vectors from ${imported.provider}/${imported.model} into collection ${this.collectionName}, ` +
+          `which holds vectors from ${this.embeddingInfo.provider}/${this.embeddingInfo.model}`
+      )
+    }
+  }
+
+  // Every vector in a batch must share one dimension
+  assertUniformDimension(embeddings) {
+    const dimension = embeddings[0]?.length ?? null
+    if (embeddings.some(embedding => embedding.length !== dimension)) {
+      throw new EmbeddingMismatchError(
+        'Embedding function returned vectors of different dimensions'
+      )
+    }
+    return dimension
+  }
+
+  notImplemented(method) {
+    throw new Error(`${this.constructor.name} does not implement ${method}()`)
+  }
+}
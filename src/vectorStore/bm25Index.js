@@ -0,0 +1,115 @@
+const WORD = /[\p{L}\p{N}_]+/gu
+// Splits snake_case and camelCase identifiers into their parts
+const IDENTIFIER_PARTS = /_+|(?<=\p{Ll})(?=\p{Lu})/u
+
+// Lowercased words; identifiers such as PLAYER_READY or onReady also yield
+// their parts so that both the exact name and its words match
+export function tokenize(text = '') {
+  const tokens = []
+  for (const [word] of text.matchAll(WORD)) {
+    tokens.push(word.toLowerCase())
+    const parts = word.split(IDENTIFIER_PARTS).filter(Boolean)
+    if (parts.length > 1) {
+      for (const part of parts) tokens.push(part.toLowerCase())
+    }
+  }
+  return tokens
+}
+
+/**
+ * Okapi BM25 keyword index over chunk text, keyed by document id. Exact
+ * identifiers (API names, event constants, error codes) are rare terms and
+ * score highly here even when embeddings treat them as noise.
+ *
+ * k1 controls term frequency saturation and b the document length
+ * normalization.
+ */
+export class Bm25Index {
+  constructor(options = {}) {
+    this.k1 = options.k1 ?? 1.2
+    this.b = options.b ?? 0.75
+    this.postings = new Map()
+    this.terms = new Map()
+    this.lengths = new Map()
+    this.totalLength = 0
+  }
+
+  get size() {
+    return this.lengths.size
+  }
+
+  add(id, text) {
+    if (this.lengths.has(id)) this.remove([id])
+
+    const tokens = tokenize(text)
+    const counts = new Map()
+    for (const token of tokens) counts.set(token, (counts.get(token) || 0) + 1)
+
+    for (const [term, count] of counts) {
+      if (!this.postings.has(term)) this.postings.set(term, new Map())
+      this.postings.get(term).set(id, count)
+    }
+    this.terms.set(id, [...counts.keys()])
+    this.lengths.set(id, tokens.length)
+    this.totalLength += tokens.length
+  }
+
+  remove(ids) {
+    for (const id of ids) {
+      if (!this.lengths.has(id)) continue
+
+      for (const term of this.terms.get(id)) {
+        const posting = this.postings.get(term)
+        posting.delete(id)
+        if (posting.size === 0) this.postings.delete(term)
+      }
+      this.totalLength -= this.lengths.get(id)
+      this.terms.delete(id)
+      this.lengths.delete(id)
+    }
+  }
+
+  // Returns up to k `{ id, score }` pairs; `accept(id)` restricts the
+  // candidates, e.g. to documents matching a filter
+  search(query, k, accept = null) {
+    if (this.size === 0) return []
+
+    const averageLength = this.totalLength / this.size || 1
+    const accepted = new Map()
+    const scores = new Map()
+
+    for (const term of new Set(tokenize(query))) {
+      const posting = this.postings.get(term)
+      if (!posting) continue
+
+      const idf = Math.log(
+        1 + (this.size - posting.size + 0.5) / (posting.size + 0.5)
+      )
+      for (const [id, frequency] of posting) {
+        if (accept) {
+          if (!accepted.has(id)) accepted.set(id, accept(id))
+          if (!accepted.get(id)) continue
+        }
+
+        const length = this.lengths.get(id)
+        const saturation =
+          (frequency * (this.k1 + 1)) /
+          (frequency +
+            this.k1 * (1 - this.b + (this.b * length) / averageLength))
+        scores.set(id, (scores.get(id) || 0) + idf * saturation)
+      }
+    }
+
+    return [...scores]
+      .map(([id, score]) => ({ id, score }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, k)
+  }
+
+  clear() {
+    this.postings.clear()
+    this.terms.clear()
+    this.lengths.clear()
+    this.totalLength = 0
+  }
+}
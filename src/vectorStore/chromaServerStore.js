@@ -0,0 +1,520 @@
+import { ChromaClient } from 'chromadb'
+import {
+  BaseVectorStore,
+  COLLECTION_SCHEMA_VERSION,
+  assignChunkIds
+} from './baseVectorStore.js'
+import { isChromaNativeFilter, matchesFilter } from './metadataFilter.js'
+
+const BATCH_SIZE = 500
+// Marks metadata keys whose values were JSON-encoded for Chroma
+const JSON_KEYS_FIELD = '__json_keys'
+
+// Chroma metadata only holds non-null scalars, so nested values (e.g.
+// loc.lines) are stored as JSON strings and restored when read back, and
+// null values (an operation without operationId) are left out
+function toChromaMetadata(metadata = {}) {
+  const result = {}
+  const jsonKeys = []
+
+  for (const [key, value] of Object.entries(metadata)) {
+    if (value === undefined || value === null) continue
+    if (value !== null && typeof value === 'object') {
+      result[key] = JSON.stringify(value)
+      jsonKeys.push(key)
+    } else {
+      result[key] = value
+    }
+  }
+
+  if (jsonKeys.length > 0) result[JSON_KEYS_FIELD] = jsonKeys.join(',')
+  return result
+}
+
+function fromChromaMetadata(metadata) {
+  if (!metadata) return {}
+  const { [JSON_KEYS_FIELD]: jsonKeys, ...result } = metadata
+
+  for (const key of jsonKeys ? jsonKeys.split(',') : []) {
+    try {
+      result[key] = JSON.parse(result[key])
+    } catch {
+      // Leave the raw string if it was not written by toChromaMetadata
+    }
+  }
+  return result
+}
+
+// Chroma wants one key per clause and at least two clauses per $and/$or;
+// the same shape applies to `where` and `whereDocument`
+function joinClauses(operator, clauses) {
+  if (clauses.length === 0) return undefined
+  return clauses.length === 1 ? clauses[0] : { [operator]: clauses }
+}
+
+function toWhere(filter = {}) {
+  const clauses = Object.entries(filter).map(([key, value]) =>
+    key === '$and' || key === '$or'
+      ? joinClauses(key, value.map(toWhere).filter(Boolean))
+      : { [key]: value }
+  )
+  return joinClauses('$and', clauses.filter(Boolean))
+}
+
+function parseUrl(url) {
+  const parsed = new URL(url)
+  return {
+    host: parsed.hostname,
+    port: parsed.port
+      ? Number(parsed.port)
+      : parsed.protocol === 'https:'
+        ? 443
+        : 80,
+    ssl: parsed.protocol === 'https:'
+  }
+}
+
+/**
+ * ChromaStore backed by a Chroma server through the chromadb client.
+ * Embeddings are computed locally and sent with every write and query,
+ * so the collection never needs a server-side embedding function.
+ */
+export class ChromaServerStore extends BaseVectorStore {
+  constructor(embeddingFunction, options = {}) {
+    super(embeddingFunction, options)
+    this.backend = 'chroma-server'
+    this.url = options.url || process.env.CHROMA_URL || 'http://localhost:8000'
+    this.authToken = options.authToken || process.env.CHROMA_AUTH_TOKEN
+    this.client = null
+    this.collection = null
+    // A Chroma server always persists its collections
+    this.isPersistent = true
+    this.documentCount = 0
+  }
+
+  async initialize(persistent = true, collectionName = null) {
+    try {
+      if (collectionName) {
+        this.collectionName = collectionName
+      }
+      console.log(`Connecting to Chroma server at ${this.url}`)
+
+      this.client = new ChromaClient({
+        ...parseUrl(this.url),
+        headers: this.authToken
+          ? { Authorization: `Bearer ${this.authToken}` }
+          : undefined
+      })
+      await this.client.heartbeat()
+
+      await this.createOrGetCollection()
+      await this.loadEmbeddingInfo()
+
+      const mismatch = this.getEmbeddingMismatch()
+      if (mismatch) console.warn(mismatch)
+
+      console.log(
+        `ChromaServerStore initialized successfully with collection: ${this.collectionName}`
+      )
+      return this
+    } catch (error) {
+      console.error('Error initializing ChromaServerStore:', error.message)
+      throw error
+    }
+  }
+
+  async createOrGetCollection() {
+    this.collection = await this.openCollection(this.collectionName)
+    this.documentCount = await this.collection.count()
+    console.log(`Collection ${this.collectionName} ready`)
+  }
+
+  async openCollection(name) {
+    return await this.client.getOrCreateCollection({
+      name,
+      embeddingFunction: null,
+      configuration: { hnsw: { space: 'cosine' } },
+      metadata: { schema_version: COLLECTION_SCHEMA_VERSION }
+    })
+  }
+
+  async loadEmbeddingInfo() {
+    const metadata = this.collection.metadata || {}
+
+    if (this.documentCount === 0 || !metadata.embedding_model) {
+      this.embeddingInfo = {
+        ...this.configuredEmbedding,
+        dimension: metadata.embedding_dimension || null
+      }
+      return
+    }
+
+    this.embeddingInfo = {
+      provider: metadata.embedding_provider || null,
+      model: metadata.embedding_model,
+      dimension: metadata.embedding_dimension || null
+    }
+  }
+
+  // Collection metadata carries the model so other clients can check it
+  async saveEmbeddingInfo() {
+    await this.collection.modify({
+      metadata: {
+        ...this.collection.metadata,
+        schema_version: COLLECTION_SCHEMA_VERSION,
+        embedding_provider: this.embeddingInfo.provider,
+        embedding_model: this.embeddingInfo.model,
+        embedding_dimension: this.embeddingInfo.dimension
+      }
+    })
+  }
+
+  async addDocuments(documents) {
+    this.verifyInitialization()
+
+    if (!documents || documents.length === 0) {
+      console.log('No documents to add')
+      return
+    }
+    this.assertEmbeddingCompatible()
+
+    try {
+      console.log(`Adding ${documents.length} documents to ChromaServerStore`)
+
+      const ids = assignChunkIds(documents)
+      for (let i = 0; i < documents.length; i += BATCH_SIZE) {
+        const batch = documents.slice(i, i + BATCH_SIZE)
+        const texts = batch.map(doc => doc.pageContent)
+        const embeddings = await this.generateEmbeddings(texts)
+        this.assertDimension(embeddings)
+
+        await this.collection.upsert({
+          ids: ids.slice(i, i + BATCH_SIZE),
+          embeddings,
+          documents: texts,
+          metadatas: batch.map(doc =>
+            toChromaMetadata({
+              source: doc.metadata?.source || 'unknown',
+              ...doc.metadata
+            })
+          )
+        })
+      }
+
+      await this.afterWrite()
+      console.log(
+        `Successfully added ${documents.length} documents to ChromaServerStore`
+      )
+    } catch (error) {
+      console.error(
+        'Error adding documents to ChromaServerStore:',
+        error.message
+      )
+      throw error
+    }
+  }
+
+  async afterWrite() {
+    const wasEmpty = this.documentCount === 0
+    this.documentCount = await this.collection.count()
+    if (wasEmpty && this.documentCount > 0) {
+      await this.saveEmbeddingInfo()
+    }
+  }
+
+  async searchWithScores(query, k = 4, filter = {}, whereDocument = {}) {
+    return await this.queryCollection(query, k, filter, whereDocument, false)
+  }
+
+  async searchWithEmbeddings(query, k = 4, filter = {}, whereDocument = {}) {
+    return await this.queryCollection(query, k, filter, whereDocument, true)
+  }
+
+  // Returns [document, score] pairs, plus the stored vector when
+  // withEmbeddings is set
+  async queryCollection(query, k, filter, whereDocument, withEmbeddings) {
+    this.verifyInitialization()
+    this.assertEmbeddingCompatible()
+    this.assertValidFilters(filter, whereDocument)
+
+    try {
+      if (this.documentCount === 0) {
+        return []
+      }
+
+      const queryEmbedding = await this.embeddingFunction.embedQuery(query)
+      this.assertDimension([queryEmbedding])
+
+      // Filters Chroma cannot evaluate are narrowed to matching ids first
+      let scope = {
+        where: toWhere(filter),
+        whereDocument: toWhere(whereDocument)
+      }
+      if (!isChromaNativeFilter(filter)) {
+        const records = await this.fetchRecords(filter, whereDocument, [])
+        if (records.length === 0) return []
+        scope = { ids: records.map(record => record.id) }
+      }
+
+      const result = await this.collection.query({
+        queryEmbeddings: [queryEmbedding],
+        nResults: k,
+        ...scope,
+        include: withEmbeddings
+          ? ['documents', 'metadatas', 'distances', 'embeddings']
+          : ['documents', 'metadatas', 'distances']
+      })
+
+      // Cosine space: distance = 1 - similarity
+      return result.rows()[0].map(row => {
+        const match = [
+          {
+            id: row.id,
+            pageContent: row.document || '',
+            metadata: fromChromaMetadata(row.metadata)
+          },
+          1 - row.distance
+        ]
+        return withEmbeddings ? [...match, row.embedding] : match
+      })
+    } catch (error) {
+      console.error('Error performing search with scores:', error.message)
+      throw error
+    }
+  }
+
+  async getDocuments(filter = {}, include = ['documents', 'metadatas']) {
+    this.verifyInitialization()
+    this.assertValidFilters(filter)
+    return await this.fetchRecords(filter, {}, include)
+  }
+
+  // Pages through the collection; filters Chroma cannot evaluate (prefixes,
+  // dates, nested keys) are applied to the decoded metadata instead
+  async fetchRecords(filter, whereDocument, include) {
+    const native = isChromaNativeFilter(filter)
+    const records = []
+
+    for (let offset = 0; ; offset += BATCH_SIZE) {
+      const page = await this.collection.get({
+        where: native ? toWhere(filter) : undefined,
+        whereDocument: toWhere(whereDocument),
+        limit: BATCH_SIZE,
+        offset,
+        include:
+          native || include.includes('metadatas')
+            ? include
+            : [...include, 'metadatas']
+      })
+      page.ids.forEach((id, index) => {
+        const metadata = fromChromaMetadata(page.metadatas?.[index])
+        if (!native && !matchesFilter(metadata, filter)) return
+        records.push({
+          id,
+          pageContent: page.documents?.[index] ?? null,
+          metadata,
+          embedding: page.embeddings?.[index]
+        })
+      })
+      if (page.ids.length < BATCH_SIZE) break
+    }
+
+    return records
+  }
+
+  async deleteDocuments(ids) {
+    this.verifyInitialization()
+
+    try {
+      for (let i = 0; i < ids.length; i += BATCH_SIZE) {
+        await this.collection.delete({ ids: ids.slice(i, i + BATCH_SIZE) })
+      }
+      const before = this.documentCount
+      this.documentCount = await this.collection.count()
+      console.log(`Deleted ${before - this.documentCount} documents`)
+    } catch (error) {
+      console.error('Error deleting documents:', error.message)
+      throw error
+    }
+  }
+
+  async getDocumentCount() {
+    this.verifyInitialization()
+    this.documentCount = await this.collection.count()
+    return this.documentCount
+  }
+
+  async listCollections() {
+    this.verifyInitialization()
+    const collections = await this.client.listCollections()
+    return collections.map(collection => collection.name)
+  }
+
+  async exportData() {
+    this.verifyInitialization()
+
+    try {
+      const records = await this.getDocuments({}, [
+        'documents',
+        'metadatas',
+        'embeddings'
+      ])
+      return {
+        schemaVersion: COLLECTION_SCHEMA_VERSION,
+        collectionName: this.collectionName,
+        embedding: { ...this.embeddingInfo },
+        data: {
+          ids: records.map(record => record.id),
+          documents: records.map(record => record.pageContent),
+          embeddings: records.map(record => Array.from(record.embedding)),
+          metadatas: records.map(record => record.metadata)
+        },
+        exportedAt: new Date().toISOString()
+      }
+    } catch (error) {
+      console.error('Error exporting data:', error.message)
+      throw error
+    }
+  }
+
+  async importData(data) {
+    this.verifyInitialization()
+
+    try {
+      const { ids = [], documents, embeddings, metadatas } = data.data || {}
+      if (ids.length === 0) return
+
+      this.checkImportedEmbedding(data.embedding)
+      this.assertDimension(embeddings)
+
+      for (let i = 0; i < ids.length; i += BATCH_SIZE) {
+        await this.collection.upsert({
+          ids: ids.slice(i, i + BATCH_SIZE),
+          embeddings: embeddings.slice(i, i + BATCH_SIZE),
+          documents: documents.slice(i, i + BATCH_SIZE),
+          metadatas: metadatas.slice(i, i + BATCH_SIZE).map(toChromaMetadata)
+        })
+      }
+
+      await this.afterWrite()
+      console.log(`Imported ${ids.length} documents`)
+    } catch (error) {
+      console.error('Error importing data:', error.message)
+      throw error
+    }
+  }
+
+  async reembedCollection(options = {}) {
+    this.verifyInitialization()
+    const { batchSize = 64 } = options
+
+    try {
+      const previous = { ...this.embeddingInfo }
+      // One read, so every embedding is paired with the record it was
+      // computed from
+      const records = await this.getDocuments({}, ['documents', 'metadatas'])
+      console.log(
+        `Re-embedding ${records.length} documents with ${this.configuredEmbedding.provider}/${this.configuredEmbedding.model}`
+      )
+
+      const embeddings = []
+      for (let i = 0; i < records.length; i += batchSize) {
+        const batch = records.slice(i, i + batchSize)
+        embeddings.push(
+          ...(await this.generateEmbeddings(batch.map(r => r.pageContent)))
+        )
+      }
+
+      const dimension = this.assertUniformDimension(embeddings)
+
+      // Vectors of a new dimension cannot share the existing HNSW index
+      if (dimension !== previous.dimension) {
+        await this.replaceCollection(records, embeddings)
+      } else {
+        for (let i = 0; i < records.length; i += BATCH_SIZE) {
+          await this.collection.update({
+            ids: records.slice(i, i + BATCH_SIZE).map(r => r.id),
+            embeddings: embeddings.slice(i, i + BATCH_SIZE)
+          })
+        }
+      }
+
+      this.embeddingInfo = { ...this.configuredEmbedding, dimension }
+      this.documentCount = await this.collection.count()
+      await this.saveEmbeddingInfo()
+
+      console.log(`Re-embedded ${embeddings.length} documents`)
+      return {
+        reembedded: embeddings.length,
+        previous,
+        embedding: { ...this.embeddingInfo }
+      }
+    } catch (error) {
+      console.error('Error re-embedding collection:', error.message)
+      throw error
+    }
+  }
+
+  // Writes the records into a temporary collection and only then swaps it
+  // in, so a failed write leaves the original collection untouched
+  async replaceCollection(records, embeddings) {
+    const temporaryName = `${this.collectionName}_reembed_${Date.now()}`
+    const replacement = await this.openCollection(temporaryName)
+
+    try {
+      for (let i = 0; i < records.length; i += BATCH_SIZE) {
+        const batch = records.slice(i, i + BATCH_SIZE)
+        await replacement.add({
+          ids: batch.map(r => r.id),
+          embeddings: embeddings.slice(i, i + BATCH_SIZE),
+          documents: batch.map(r => r.pageContent),
+          metadatas: batch.map(r => toChromaMetadata(r.metadata))
+        })
+      }
+    } catch (error) {
+      await this.client.deleteCollection({ name: temporaryName })
+      throw error
+    }
+
+    await this.client.deleteCollection({ name: this.collectionName })
+    try {
+      await replacement.modify({ name: this.collectionName })
+    } catch (error) {
+      throw new Error(
+        `Re-embedded data is in collection ${temporaryName}, rename it to ${this.collectionName}: ${error.message}`
+      )
+    }
+    this.collection = await this.openCollection(this.collectionName)
+  }
+
+  async clearCollection() {
+    this.verifyInitialization()
+
+    try {
+      await this.client.deleteCollection({ name: this.collectionName })
+      await this.createOrGetCollection()
+      this.embeddingInfo = { ...this.configuredEmbedding, dimension: null }
+      console.log(`Collection ${this.collectionName} cleared`)
+    } catch (error) {
+      console.error('Error clearing collection:', error.message)
+      throw error
+    }
+  }
+
+  async close() {
+    this.collection = null
+    this.client = null
+  }
+
+  isEmpty() {
+    return this.documentCount === 0
+  }
+
+  verifyInitialization() {
+    if (!this.collection) {
+      throw new Error(
+        'ChromaServerStore not initialized. Call initialize() first.'
+      )
+    }
+  }
+}
@@ -1,76 +1,58 @@
-import { v4 as uuidv4 } from 'uuid'
-import fs from 'fs'
-import path from 'path'
-import { BaseRetriever } from '@langchain/core/retrievers'
-
-/**
- * Custom retriever class that extends LangChain's BaseRetriever
- */
-class ChromaRetriever extends BaseRetriever {
-  static lc_name() {
-    return 'ChromaRetriever'
-  }
-
-  constructor(chromaStore, options = {}) {
-    super()
-    this.chromaStore = chromaStore
-    this.k = options.k || 4
-    this.filter = options.filter || {}
-    this.searchType = options.searchType || 'similarity'
-
-    // Required LangChain properties
-    this.lc_namespace = ['docs-lm', 'chromastore', 'retrievers']
-  }
-
-  async _getRelevantDocuments(query) {
-    try {
-      console.log(`ChromaRetriever: Getting relevant documents for: "${query}"`)
-      const results = await this.chromaStore.similaritySearch(
-        query,
-        this.k,
-        this.filter
-      )
-
-      console.log(`ChromaRetriever: Found ${results.length} relevant documents`)
-
-      // Ensure each document has the correct structure
-      const validatedResults = results.map(doc => ({
-        pageContent: doc.pageContent || '',
-        metadata: doc.metadata || {}
-      }))
-
-      return validatedResults
-    } catch (error) {
-      console.error(
-        'ChromaRetriever: Error getting relevant documents:',
-        error.message
-      )
-      return []
-    }
-  }
-}
+import {
+  BaseVectorStore,
+  COLLECTION_SCHEMA_VERSION,
+  EmbeddingMismatchError,
+  assignChunkIds
+} from './baseVectorStore.js'
+import { HnswIndex } from './hnswIndex.js'
+import { Bm25Index } from './bm25Index.js'
+import { CollectionStorage } from './collectionStorage.js'
+import {
+  InvalidFilterError,
+  hasFilter,
+  matchesDocument,
+  matchesFilter
+} from './metadataFilter.js'
+
+const INDEX_FILE = 'hnsw.json'
+
+export const DEFAULT_PERSIST_PATH = './database/chromadb/persist'
 
 /**
  * ChromaStore implementation using simple in-memory storage
  * This is a custom implementation that provides ChromaDB-like interface
  * without requiring an external ChromaDB server
  */
-export class ChromaStore {
-  constructor(embeddingFunction) {
-    this.embeddingFunction = embeddingFunction
+export class ChromaStore extends BaseVectorStore {
+  constructor(embeddingFunction, options = {}) {
+    super(embeddingFunction, options)
+    this.backend = 'file'
     this.documents = []
     this.embeddings = []
     this.metadatas = []
     this.ids = []
-    this.isPersistent = false
-    this.collectionName =
-      process.env.CHROMA_COLLECTION_NAME || 'docs_collection'
     this.persistPath =
-      process.env.CHROMA_PERSIST_PATH || './database/chromadb/persist'
-    this.persistFile = path.join(
-      this.persistPath,
-      `${this.collectionName}.json`
-    )
+      options.persistPath ||
+      process.env.CHROMA_PERSIST_PATH ||
+      DEFAULT_PERSIST_PATH
+    this.storage = new CollectionStorage(this.persistPath, this.collectionName)
+    // Optional approximate nearest-neighbor index, exact search otherwise
+    const index = options.index || {}
+    this.indexOptions = {
+      type: (index.type || process.env.CHROMA_INDEX || 'flat').toLowerCase(),
+      m: index.m || parseInt(process.env.HNSW_M) || 16,
+      efConstruction:
+        index.efConstruction ||
+        parseInt(process.env.HNSW_EF_CONSTRUCTION) ||
+        200,
+      efSearch: index.efSearch || parseInt(process.env.HNSW_EF_SEARCH) || 50,
+      minSize: index.minSize ?? (parseInt(process.env.HNSW_MIN_SIZE) || 1000),
+      minFilterRatio: index.minFilterRatio ?? 0.1
+    }
+    this.index = null
+    this.positions = new Map()
+    // Keyword index for hybrid search, rebuilt from the text on load
+    this.lexicalIndex = new Bm25Index()
   }
 
   async initialize(persistent = false, collectionName = null) {
@@ -78,11 +60,11 @@ export class ChromaStore {
       this.isPersistent = persistent
       if (collectionName) {
         this.collectionName = collectionName
-        this.persistFile = path.join(
-          this.persistPath,
-          `${this.collectionName}.json`
-        )
       }
+      this.storage = new CollectionStorage(
+        this.persistPath,
+        this.collectionName
+      )
 
       console.log(
         `Initializing ChromaStore in ${
@@ -98,7 +80,9 @@ export class ChromaStore {
         this.embeddings = []
         this.metadatas = []
         this.ids = []
+        this.embeddingInfo = { ...this.configuredEmbedding, dimension: null }
       }
+      await this.loadIndex()
 
       console.log(
         `ChromaStore initialized successfully with collection: ${this.collectionName}`
@@ -112,25 +96,25 @@ export class ChromaStore {
 
   async loadFromDisk() {
     try {
-      // Create persist directory if it doesn't exist
-      const persistDir = path.dirname(this.persistFile)
-      if (!fs.existsSync(persistDir)) {
-        fs.mkdirSync(persistDir, { recursive: true })
-      }
-
-      if (fs.existsSync(this.persistFile)) {
-        const data = JSON.parse(fs.readFileSync(this.persistFile, 'utf8'))
-        this.documents = data.documents || []
-        this.embeddings = data.embeddings || []
-        this.metadatas = data.metadatas || []
-        this.ids = data.ids || []
+      const data = await this.storage.load()
+
+      if (data) {
+        this.documents = data.documents
+        this.embeddings = data.embeddings
+        this.metadatas = data.metadatas
+        this.ids = data.ids
+        this.loadEmbeddingInfo(data.embedding)
         console.log(`Loaded ${this.documents.length} documents from disk`)
+
+        const mismatch = this.getEmbeddingMismatch()
+        if (mismatch) console.warn(mismatch)
       } else {
         // Initialize empty arrays
         this.documents = []
         this.embeddings = []
         this.metadatas = []
         this.ids = []
+        this.embeddingInfo = { ...this.configuredEmbedding, dimension: null }
         console.log('Starting with empty collection')
       }
     } catch (error) {
@@ -139,20 +123,19 @@ export class ChromaStore {
     }
   }
 
+  // Rewrites the whole collection; mutations append instead where possible
   async saveToDisk() {
     if (!this.isPersistent) return
 
     try {
-      const data = {
-        collectionName: this.collectionName,
+      await this.storage.write({
+        embedding: this.embeddingInfo,
+        ids: this.ids,
         documents: this.documents,
         embeddings: this.embeddings,
-        metadatas: this.metadatas,
-        ids: this.ids,
-        savedAt: new Date().toISOString()
-      }
-
-      fs.writeFileSync(this.persistFile, JSON.stringify(data, null, 2))
+        metadatas: this.metadatas
+      })
+      await this.saveIndex()
       console.log(`Saved ${this.documents.length} documents to disk`)
     } catch (error) {
       console.error('Error saving to disk:', error.message)
@@ -160,6 +143,181 @@ export class ChromaStore {
     }
   }
 
+  async appendToDisk(records) {
+    if (!this.isPersistent) return
+    await this.storage.append(records, this.embeddingInfo)
+  }
+
+  async removeFromDisk(ids) {
+    if (!this.isPersistent) return
+    await this.storage.remove(ids, this.embeddingInfo)
+
+    if (this.storage.shouldCompact(this.ids.length)) {
+      console.log(`Compacting collection ${this.collectionName}`)
+      await this.saveToDisk()
+    }
+  }
+
+  async saveIndex() {
+    if (!this.isPersistent || !this.index) return
+    await this.storage.writeFile(INDEX_FILE, JSON.stringify(this.index))
+  }
+
+  // Files written before schema version 2 carry no embedding metadata,
+  // so they are assumed to match the configured model
+  loadEmbeddingInfo(stored) {
+    if (this.documents.length === 0) {
+      this.embeddingInfo = { ...this.configuredEmbedding, dimension: null }
+      return
+    }
+
+    this.embeddingInfo = {
+      provider: stored?.provider || null,
+      model: stored?.model || null,
+      dimension: stored?.dimension || this.embeddings[0]?.length || null
+    }
+
+    if (!this.embeddingInfo.model) {
+      console.warn(
+        `Collection ${this.collectionName} has no embedding metadata, assuming model ${this.configuredEmbedding.model}`
+      )
+      this.embeddingInfo.provider = this.configuredEmbedding.provider
+      this.embeddingInfo.model = this.configuredEmbedding.model
+    }
+  }
+
+  rebuildPositions() {
+    this.positions = new Map(this.ids.map((id, index) => [id, index]))
+  }
+
+  // Rebuilds the keyword index, then restores the persisted graph when it
+  // still matches the collection or rebuilds it from the stored vectors
+  async loadIndex() {
+    this.rebuildPositions()
+    this.lexicalIndex.clear()
+    this.ids.forEach((id, i) => this.lexicalIndex.add(id, this.documents[i]))
+
+    this.index = null
+    if (this.indexOptions.type !== 'hnsw') return
+
+    const saved = this.isPersistent
+      ? await this.storage.readFile(INDEX_FILE)
+      : null
+    if (saved) {
+      try {
+        const data = JSON.parse(saved)
+        const deleted = new Set((data.deleted || []).map(([id]) => id))
+        const current =
+          data.nodes.length - deleted.size === this.ids.length &&
+          data.params.m === this.indexOptions.m &&
+          data.nodes.every(([id]) => deleted.has(id) || this.positions.has(id))
+
+        if (current) {
+          this.index = HnswIndex.fromJSON(
+            data,
+            id => this.embeddings[this.positions.get(id)],
+            { efSearch: this.indexOptions.efSearch }
+          )
+          console.log(`Loaded HNSW index with ${this.index.size} vectors`)
+          return
+        }
+        console.log('HNSW index is out of date, rebuilding')
+      } catch (error) {
+        console.warn('Could not load HNSW index, rebuilding:', error.message)
+      }
+    }
+    this.buildIndex()
+  }
+
+  buildIndex() {
+    const { type, minSize, minFilterRatio, ...params } = this.indexOptions
+    this.index = new HnswIndex(params)
+    for (let i = 0; i < this.ids.length; i++) {
+      this.index.add(this.ids[i], this.embeddings[i])
+    }
+    console.log(`Built HNSW index with ${this.index.size} vectors`)
+  }
+
+  // Called after the documents were appended to the parallel arrays
+  indexDocuments(ids, embeddings) {
+    const offset = this.ids.length - ids.length
+    ids.forEach((id, i) => {
+      this.positions.set(id, offset + i)
+      this.index?.add(id, embeddings[i])
+      this.lexicalIndex.add(id, this.documents[offset + i])
+    })
+  }
+
+  getIndexInfo() {
+    return {
+      type: this.index ? 'hnsw' : 'flat',
+      size: this.index ? this.index.size : 0,
+      // Small collections are searched exactly even with an index
+      active:
+        Boolean(this.index) && this.ids.length >= this.indexOptions.minSize,
+      ...(this.index ? this.index.getParams() : {})
+    }
+  }
+
+  // Returns a predicate over array positions, or null when nothing is filtered
+  createMatcher(filter = {}, whereDocument = {}) {
+    if (!hasFilter(filter) && !hasFilter(whereDocument)) return null
+    return index =>
+      matchesFilter(this.metadatas[index] || {}, filter) &&
+      matchesDocument(this.documents[index], whereDocument)
+  }
+
+  // Returns the top k `{ index, score }` pairs, using the HNSW index when
+  // the collection is large enough and the filter is not too selective
+  rankDocuments(queryEmbedding, k, filter = {}, whereDocument = {}) {
+    const matcher = this.createMatcher(filter, whereDocument)
+    if (!this.index || this.ids.length < this.indexOptions.minSize) {
+      return this.exactSearch(queryEmbedding, k, matcher)
+    }
+
+    let ef = this.indexOptions.efSearch
+    let matching = this.ids.length
+
+    if (matcher) {
+      matching = 0
+      for (let i = 0; i < this.ids.length; i++) {
+        if (matcher(i)) matching++
+      }
+      const ratio = matching / this.ids.length
+      if (ratio < this.indexOptions.minFilterRatio) {
+        return this.exactSearch(queryEmbedding, k, matcher)
+      }
+      // Widen the candidate list so enough hits survive the filter
+      ef = Math.ceil(Math.max(ef, k) / ratio)
+    }
+
+    const results = this.index
+      .search(queryEmbedding, matcher ? ef : k, ef)
+      .map(({ id, score }) => ({ index: this.positions.get(id), score }))
+      .filter(({ index }) => !matcher || matcher(index))
+      .slice(0, k)
+
+    if (results.length < Math.min(k, matching)) {
+      return this.exactSearch(queryEmbedding, k, matcher)
+    }
+    return results
+  }
+
+  exactSearch(queryEmbedding, k, matcher = null) {
+    const scored = []
+    for (let i = 0; i < this.documents.length; i++) {
+      if (matcher && !matcher(i)) continue
+      scored.push({
+        index: i,
+        score: this.cosineSimilarity(queryEmbedding, this.embeddings[i])
+      })
+    }
+
+    // Sort by similarity score (highest first) and take top k
+    scored.sort((a, b) => b.score - a.score)
+    return scored.slice(0, k)
+  }
+
   async createOrGetCollection() {
     // Collection is just our internal storage, no external API needed
     console.log(`Collection ${this.collectionName} ready`)
@@ -172,17 +330,16 @@ export class ChromaStore {
       console.log('No documents to add')
       return
     }
+    this.assertEmbeddingCompatible()
 
     try {
       console.log(`Adding ${documents.length} documents to ChromaStore`)
 
-      const newIds = []
+      const newIds = assignChunkIds(documents)
       const newMetadatas = []
       const newDocumentTexts = []
 
       for (const doc of documents) {
-        const id = uuidv4()
-        newIds.push(id)
         newDocumentTexts.push(doc.pageContent)
 
         // Prepare metadata
@@ -195,15 +352,23 @@ export class ChromaStore {
 
       // Generate embeddings using the embedding function
       const newEmbeddings = await this.generateEmbeddings(newDocumentTexts)
+      this.assertDimension(newEmbeddings)
+      await this.deleteExisting(newIds)
 
       // Add to our storage
       this.ids.push(...newIds)
       this.documents.push(...newDocumentTexts)
       this.embeddings.push(...newEmbeddings)
       this.metadatas.push(...newMetadatas)
-
-      // Save to disk if persistent
-      await this.saveToDisk()
+      this.indexDocuments(newIds, newEmbeddings)
+
+      // Append to disk if persistent
+      await this.appendToDisk({
+        ids: newIds,
+        documents: newDocumentTexts,
+        metadatas: newMetadatas,
+        embeddings: newEmbeddings
+      })
 
       console.log(
         `Successfully added ${documents.length} documents to ChromaStore`
@@ -214,28 +379,12 @@ export class ChromaStore {
     }
   }
 
-  async generateEmbeddings(texts) {
-    try {
-      if (typeof this.embeddingFunction.embedDocuments === 'function') {
-        return await this.embeddingFunction.embedDocuments(texts)
-      } else if (typeof this.embeddingFunction.embedQuery === 'function') {
-        // Fallback to single embeddings
-        const embeddings = []
-        for (const text of texts) {
-          const embedding = await this.embeddingFunction.embedQuery(text)
-          embeddings.push(embedding)
-        }
-        return embeddings
-      } else {
-        throw new Error('Embedding function does not support required methods')
-      }
-    } catch (error) {
-      console.error('Error generating embeddings:', error.message)
-      throw error
-    }
+  // Upserts and imports replace the records whose IDs are already stored
+  async deleteExisting(ids) {
+    const existing = ids.filter(id => this.positions.has(id))
+    if (existing.length > 0) await this.deleteDocuments(existing)
   }
 
-  // Calculate cosine similarity between two vectors
   cosineSimilarity(a, b) {
     if (a.length !== b.length) {
       throw new Error('Vectors must have the same length')
@@ -251,11 +400,16 @@ export class ChromaStore {
       normB += b[i] * b[i]
     }
 
+    // A zero vector (e.g. embedding of empty text) is similar to nothing
+    if (normA === 0 || normB === 0) return 0
+
     return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB))
   }
 
-  async similaritySearch(query, k = 4, filter = {}) {
+  async similaritySearch(query, k = 4, filter = {}, whereDocument = {}) {
     this.verifyInitialization()
+    this.assertEmbeddingCompatible()
+    this.assertValidFilters(filter, whereDocument)
 
     try {
       console.log(`ChromaStore: Starting similarity search for: "${query}"`)
@@ -279,50 +433,33 @@ export class ChromaStore {
           queryEmbedding ? queryEmbedding.length : 'undefined'
         }`
       )
+      this.assertDimension([queryEmbedding])
 
-      // Calculate similarities and create scored results
-      const scoredResults = []
-      for (let i = 0; i < this.documents.length; i++) {
-        // Apply filter if provided
-        if (Object.keys(filter).length > 0) {
-          let matchesFilter = true
-          for (const [key, value] of Object.entries(filter)) {
-            if (this.metadatas[i][key] !== value) {
-              matchesFilter = false
-              break
-            }
-          }
-          if (!matchesFilter) continue
-        }
-
-        const similarity = this.cosineSimilarity(
-          queryEmbedding,
-          this.embeddings[i]
-        )
-        scoredResults.push({
-          document: {
-            pageContent: this.documents[i],
-            metadata: this.metadatas[i] || {}
-          },
-          score: similarity,
-          index: i
-        })
-      }
-
-      // Sort by similarity score (highest first) and take top k
-      scoredResults.sort((a, b) => b.score - a.score)
-      const topResults = scoredResults.slice(0, k)
+      const topResults = this.rankDocuments(
+        queryEmbedding,
+        k,
+        filter,
+        whereDocument
+      )
 
       console.log(
         `ChromaStore: Found ${topResults.length} results after filtering and scoring`
       )
 
       // Return documents in LangChain-compatible format
-      const documents = topResults.map(result => result.document)
+      const documents = topResults.map(({ index }) => ({
+        id: this.ids[index],
+        pageContent: this.documents[index],
+        metadata: this.metadatas[index] || {}
+      }))
       console.log(`ChromaStore: Returning ${documents.length} documents`)
 
       return documents
     } catch (error) {
+      // A model mismatch is a configuration problem, not an empty result
+      if (error instanceof EmbeddingMismatchError) throw error
+      if (error instanceof InvalidFilterError) throw error
+
       console.error(
         'ChromaStore: Error performing similarity search:',
         error.message
@@ -332,8 +469,20 @@ export class ChromaStore {
     }
   }
 
-  async searchWithScores(query, k = 4, filter = {}) {
+  async searchWithScores(query, k = 4, filter = {}, whereDocument = {}) {
+    const results = await this.searchWithEmbeddings(
+      query,
+      k,
+      filter,
+      whereDocument
+    )
+    return results.map(([document, score]) => [document, score])
+  }
+
+  async searchWithEmbeddings(query, k = 4, filter = {}, whereDocument = {}) {
     this.verifyInitialization()
+    this.assertEmbeddingCompatible()
+    this.assertValidFilters(filter, whereDocument)
 
     try {
       if (this.documents.length === 0) {
@@ -341,66 +490,70 @@ export class ChromaStore {
       }
 
       const queryEmbedding = await this.embeddingFunction.embedQuery(query)
+      this.assertDimension([queryEmbedding])
 
-      // Calculate similarities and create scored results
-      const scoredResults = []
-      for (let i = 0; i < this.documents.length; i++) {
-        // Apply filter if provided
-        if (Object.keys(filter).length > 0) {
-          let matchesFilter = true
-          for (const [key, value] of Object.entries(filter)) {
-            if (this.metadatas[i][key] !== value) {
-              matchesFilter = false
-              break
-            }
-          }
-          if (!matchesFilter) continue
-        }
-
-        const similarity = this.cosineSimilarity(
-          queryEmbedding,
-          this.embeddings[i]
-        )
-        scoredResults.push([
+      return this.rankDocuments(queryEmbedding, k, filter, whereDocument).map(
+        ({ index, score }) => [
           {
-            pageContent: this.documents[i],
-            metadata: this.metadatas[i] || {}
+            id: this.ids[index],
+            pageContent: this.documents[index],
+            metadata: this.metadatas[index] || {}
           },
-          similarity
-        ])
-      }
-
-      // Sort by similarity score (highest first) and take top k
-      scoredResults.sort((a, b) => b[1] - a[1])
-      return scoredResults.slice(0, k)
+          score,
+          this.embeddings[index]
+        ]
+      )
     } catch (error) {
       console.error('Error performing search with scores:', error.message)
       throw error
     }
   }
 
+  async lexicalSearch(query, k = 4, filter = {}, whereDocument = {}) {
+    this.verifyInitialization()
+    this.assertValidFilters(filter, whereDocument)
+
+    const matcher = this.createMatcher(filter, whereDocument)
+    const accept = matcher && (id => matcher(this.positions.get(id)))
+
+    return this.lexicalIndex.search(query, k, accept).map(({ id, score }) => {
+      const index = this.positions.get(id)
+      return [
+        {
+          id,
+          pageContent: this.documents[index],
+          metadata: this.metadatas[index] || {}
+        },
+        score
+      ]
+    })
+  }
+
   async deleteDocuments(ids) {
     this.verifyInitialization()
 
     try {
-      // Find and remove documents by ID
-      const indicesToRemove = []
-      for (let i = 0; i < this.ids.length; i++) {
-        if (ids.includes(this.ids[i])) {
-          indicesToRemove.push(i)
-        }
-      }
-
-      // Remove in reverse order to maintain indices
-      indicesToRemove.reverse().forEach(index => {
-        this.ids.splice(index, 1)
-        this.documents.splice(index, 1)
-        this.embeddings.splice(index, 1)
-        this.metadatas.splice(index, 1)
+      // One pass over the parallel arrays keeps the rows that stay
+      const toRemove = new Set(ids)
+      const kept = []
+      const removedIds = []
+      this.ids.forEach((id, index) => {
+        if (toRemove.has(id)) removedIds.push(id)
+        else kept.push(index)
       })
 
-      await this.saveToDisk()
-      console.log(`Deleted ${indicesToRemove.length} documents`)
+      if (removedIds.length > 0) {
+        this.ids = kept.map(index => this.ids[index])
+        this.documents = kept.map(index => this.documents[index])
+        this.embeddings = kept.map(index => this.embeddings[index])
+        this.metadatas = kept.map(index => this.metadatas[index])
+      }
+      this.index?.remove(removedIds)
+      this.lexicalIndex.remove(removedIds)
+      this.rebuildPositions()
+
+      await this.removeFromDisk(removedIds)
+      console.log(`Deleted ${removedIds.length} documents`)
     } catch (error) {
       console.error('Error deleting documents:', error.message)
       throw error
@@ -412,9 +565,22 @@ export class ChromaStore {
     return this.documents.length
   }
 
-  async listCollections() {
-    // In our simple implementation, we only have one collection
-    return [this.collectionName]
+  async getDocuments(filter = {}) {
+    this.verifyInitialization()
+    this.assertValidFilters(filter)
+    const records = []
+
+    for (let i = 0; i < this.documents.length; i++) {
+      const metadata = this.metadatas[i] || {}
+      if (matchesFilter(metadata, filter)) {
+        records.push({
+          id: this.ids[i],
+          pageContent: this.documents[i],
+          metadata
+        })
+      }
+    }
+    return records
   }
 
   async exportData() {
@@ -422,11 +588,13 @@ export class ChromaStore {
 
     try {
       return {
+        schemaVersion: COLLECTION_SCHEMA_VERSION,
         collectionName: this.collectionName,
+        embedding: { ...this.embeddingInfo },
         data: {
           ids: this.ids,
           documents: this.documents,
-          embeddings: this.embeddings,
+          embeddings: this.embeddings.map(embedding => Array.from(embedding)),
           metadatas: this.metadatas
         },
         exportedAt: new Date().toISOString()
@@ -442,12 +610,17 @@ export class ChromaStore {
 
     try {
       if (data.data && data.data.ids && data.data.ids.length > 0) {
+        this.checkImportedEmbedding(data.embedding)
+        this.assertDimension(data.data.embeddings)
+        await this.deleteExisting(data.data.ids)
+
         this.ids.push(...data.data.ids)
         this.documents.push(...data.data.documents)
         this.embeddings.push(...data.data.embeddings)
         this.metadatas.push(...data.data.metadatas)
+        this.indexDocuments(data.data.ids, data.data.embeddings)
 
-        await this.saveToDisk()
+        await this.appendToDisk(data.data)
         console.log(`Imported ${data.data.ids.length} documents`)
       }
     } catch (error) {
@@ -456,6 +629,43 @@ export class ChromaStore {
     }
   }
 
+  // Rebuilds every vector from the stored text with the configured model
+  async reembedCollection(options = {}) {
+    this.verifyInitialization()
+    const { batchSize = 64 } = options
+
+    try {
+      const previous = { ...this.embeddingInfo }
+      console.log(
+        `Re-embedding ${this.documents.length} documents with ${this.configuredEmbedding.provider}/${this.configuredEmbedding.model}`
+      )
+
+      const embeddings = []
+      for (let i = 0; i < this.documents.length; i += batchSize) {
+        const batch = this.documents.slice(i, i + batchSize)
+        embeddings.push(...(await this.generateEmbeddings(batch)))
+      }
+
+      const dimension = this.assertUniformDimension(embeddings)
+
+      // Swap only after every batch succeeded
+      this.embeddings = embeddings
+      this.embeddingInfo = { ...this.configuredEmbedding, dimension }
+      if (this.index) this.buildIndex()
+      await this.saveToDisk()
+
+      console.log(`Re-embedded ${embeddings.length} documents`)
+      return {
+        reembedded: embeddings.length,
+        previous,
+        embedding: { ...this.embeddingInfo }
+      }
+    } catch (error) {
+      console.error('Error re-embedding collection:', error.message)
+      throw error
+    }
+  }
+
   async switchMode(persistent, preserveData = true) {
     let exportedData = null
 
@@ -475,10 +685,7 @@ export class ChromaStore {
     if (exportedData && preserveData) {
       try {
         // Clear current data first
-        this.ids = []
-        this.documents = []
-        this.embeddings = []
-        this.metadatas = []
+        await this.clearCollection()
 
         await this.importData(exportedData)
         console.log('Data migration completed successfully')
@@ -489,22 +696,13 @@ export class ChromaStore {
     }
   }
 
-  async switchToPersistent() {
-    return await this.switchMode(true, true)
+  // Every change is already on disk; only the index graph is saved lazily
+  async close() {
+    await this.saveIndex()
   }
 
-  async switchToMemory() {
-    return await this.switchMode(false, true)
-  }
-
-  getRetriever(options = {}) {
-    this.verifyInitialization()
-
-    const defaultOptions = { k: 4, searchType: 'similarity' }
-    const searchOptions = { ...defaultOptions, ...options }
-
-    // Return a proper LangChain retriever using our custom class
-    return new ChromaRetriever(this, searchOptions)
+  isEmpty() {
+    return this.documents.length === 0
   }
 
   verifyInitialization() {
@@ -521,6 +719,10 @@ export class ChromaStore {
       this.documents = []
       this.embeddings = []
       this.metadatas = []
+      this.embeddingInfo = { ...this.configuredEmbedding, dimension: null }
+      this.index?.clear()
+      this.lexicalIndex.clear()
+      this.positions.clear()
 
       await this.saveToDisk()
       console.log(`Collection ${this.collectionName} cleared`)
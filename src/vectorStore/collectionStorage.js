@@ -0,0 +1,285 @@
+import fs from 'fs'
+import path from 'path'
+
+// Bump when the on-disk layout changes
+export const STORAGE_FORMAT_VERSION = 1
+
+const MANIFEST = 'manifest.json'
+// Compact once deleted rows outnumber this share of the live ones
+const COMPACT_RATIO = 0.5
+const COMPACT_MIN_ROWS = 100
+
+export async function writeAtomic(filePath, data) {
+  const tempPath = `${filePath}.${process.pid}.tmp`
+  const handle = await fs.promises.open(tempPath, 'w')
+  try {
+    await handle.writeFile(data)
+    await handle.sync()
+  } finally {
+    await handle.close()
+  }
+  await fs.promises.rename(tempPath, filePath)
+}
+
+function toBuffer(vectors, dimension) {
+  const packed = new Float32Array(vectors.length * dimension)
+  vectors.forEach((vector, row) => packed.set(vector, row * dimension))
+  return Buffer.from(packed.buffer)
+}
+
+function toLog(entries) {
+  return Buffer.from(
+    entries.map(entry => JSON.stringify(entry) + '\n').join('')
+  )
+}
+
+function addEntries(ids, documents, metadatas) {
+  return ids.map((id, i) => ({
+    op: 'add',
+    id,
+    document: documents[i],
+    metadata: metadatas[i]
+  }))
+}
+
+/**
+ * On-disk layout of a persistent ChromaStore collection, one directory per
+ * collection:
+ *
+ *   manifest.json        committed generation, row count and log length
+ *   vectors.<gen>.f32    packed little-endian Float32 rows, append-only
+ *   records.<gen>.log    JSON lines: `add` (text, metadata) and `delete`
+ *
+ * Appends go to the vector and log files first and only count once the
+ * manifest, replaced atomically, records their new length; bytes past the
+ * committed length are leftovers of an interrupted write and are discarded.
+ * Compaction writes a new generation and switches the manifest to it.
+ */
+export class CollectionStorage {
+  constructor(persistPath, collectionName) {
+    this.dir = path.join(persistPath, collectionName)
+    this.legacyFile = path.join(persistPath, `${collectionName}.json`)
+    this.manifest = null
+    this.deadRows = 0
+  }
+
+  get manifestPath() {
+    return path.join(this.dir, MANIFEST)
+  }
+
+  vectorsPath(generation = this.manifest.generation) {
+    return path.join(this.dir, `vectors.${generation}.f32`)
+  }
+
+  logPath(generation = this.manifest.generation) {
+    return path.join(this.dir, `records.${generation}.log`)
+  }
+
+  // Returns the stored collection, migrating a legacy JSON file if needed,
+  // or null when nothing has been saved yet
+  async load() {
+    if (!fs.existsSync(this.manifestPath)) {
+      if (fs.existsSync(this.legacyFile)) return await this.migrate()
+      return null
+    }
+
+    this.manifest = JSON.parse(
+      await fs.promises.readFile(this.manifestPath, 'utf8')
+    )
+    await this.discardUncommitted()
+
+    const { dimension, vectorRows, logBytes } = this.manifest
+    const vectorBytes = vectorRows * (dimension || 0) * 4
+    const buffer = await fs.promises.readFile(this.vectorsPath())
+    // Copy into an aligned buffer; rows become views into it
+    const packed = new Float32Array(
+      buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + vectorBytes)
+    )
+
+    const log = await fs.promises.readFile(this.logPath())
+    const lines = log.subarray(0, logBytes).toString('utf8').split('\n')
+
+    // A delete only affects rows added before it, so an ID that is deleted
+    // and added again (an upsert) stays live in its newest row
+    const rows = []
+    const live = new Map()
+    for (const line of lines) {
+      if (!line) continue
+      const entry = JSON.parse(line)
+      if (entry.op === 'add') {
+        live.set(entry.id, rows.length)
+        rows.push(entry)
+      } else if (entry.op === 'delete') {
+        for (const id of entry.ids) live.delete(id)
+      }
+    }
+
+    const data = { ids: [], documents: [], metadatas: [], embeddings: [] }
+    rows.forEach((entry, row) => {
+      if (live.get(entry.id) !== row) return
+      data.ids.push(entry.id)
+      data.documents.push(entry.document)
+      data.metadatas.push(entry.metadata)
+      data.embeddings.push(
+        packed.subarray(row * dimension, (row + 1) * dimension)
+      )
+    })
+    this.deadRows = rows.length - data.ids.length
+
+    return { embedding: this.manifest.embedding, ...data }
+  }
+
+  // Cuts bytes left behind by an interrupted or failed append
+  async truncateToCommitted() {
+    const { dimension, vectorRows, logBytes } = this.manifest
+    const committed = [
+      [this.vectorsPath(), vectorRows * (dimension || 0) * 4],
+      [this.logPath(), logBytes]
+    ]
+
+    for (const [filePath, size] of committed) {
+      const { size: actual } = await fs.promises.stat(filePath)
+      if (actual > size) {
+        console.warn(`Discarding ${actual - size} uncommitted bytes`)
+        await fs.promises.truncate(filePath, size)
+      }
+    }
+  }
+
+  // Also removes files of abandoned generations and temp files
+  async discardUncommitted() {
+    await this.truncateToCommitted()
+
+    const { generation } = this.manifest
+    const current = [`vectors.${generation}.f32`, `records.${generation}.log`]
+    for (const file of await fs.promises.readdir(this.dir)) {
+      const stale =
+        file.endsWith('.tmp') ||
+        (/^(vectors|records)\.\d+\.(f32|log)$/.test(file) &&
+          !current.includes(file))
+      if (stale) {
+        await fs.promises.rm(path.join(this.dir, file), { force: true })
+      }
+    }
+  }
+
+  // Rewrites a legacy pretty-printed JSON collection in the binary layout
+  async migrate() {
+    console.log(`Migrating ${this.legacyFile} to binary storage`)
+    const legacy = JSON.parse(await fs.promises.readFile(this.legacyFile))
+    const data = {
+      embedding: legacy.embedding,
+      ids: legacy.ids || [],
+      documents: legacy.documents || [],
+      metadatas: legacy.metadatas || [],
+      embeddings: legacy.embeddings || []
+    }
+
+    await this.write(data)
+    // Keep the original until the user removes it
+    await fs.promises.rename(this.legacyFile, `${this.legacyFile}.migrated`)
+    console.log(`Migrated ${data.ids.length} documents`)
+    return data
+  }
+
+  // Writes the whole collection as a new generation (used for compaction)
+  async write({ embedding, ids, documents, metadatas, embeddings }) {
+    await fs.promises.mkdir(this.dir, { recursive: true })
+
+    const generation = (this.manifest?.generation ?? 0) + 1
+    const dimension = embeddings[0]?.length ?? embedding?.dimension ?? null
+    const log = toLog(addEntries(ids, documents, metadatas))
+
+    await writeAtomic(
+      this.vectorsPath(generation),
+      toBuffer(embeddings, dimension)
+    )
+    await writeAtomic(this.logPath(generation), log)
+
+    const previous = this.manifest?.generation
+    await this.commit({
+      generation,
+      dimension,
+      vectorRows: ids.length,
+      logBytes: log.length,
+      embedding
+    })
+    this.deadRows = 0
+
+    if (previous !== undefined && previous !== generation) {
+      await fs.promises.rm(this.vectorsPath(previous), { force: true })
+      await fs.promises.rm(this.logPath(previous), { force: true })
+    }
+  }
+
+  async append({ ids, documents, metadatas, embeddings }, embedding) {
+    if (!this.manifest) {
+      return await this.write({
+        embedding,
+        ids,
+        documents,
+        metadatas,
+        embeddings
+      })
+    }
+
+    await this.truncateToCommitted()
+    const dimension = this.manifest.dimension ?? embeddings[0]?.length
+    const log = toLog(addEntries(ids, documents, metadatas))
+
+    await fs.promises.appendFile(
+      this.vectorsPath(),
+      toBuffer(embeddings, dimension)
+    )
+    await fs.promises.appendFile(this.logPath(), log)
+    await this.commit({
+      ...this.manifest,
+      dimension,
+      vectorRows: this.manifest.vectorRows + ids.length,
+      logBytes: this.manifest.logBytes + log.length,
+      embedding
+    })
+  }
+
+  async remove(ids, embedding) {
+    if (!this.manifest || ids.length === 0) return
+
+    await this.truncateToCommitted()
+    const log = toLog([{ op: 'delete', ids }])
+    await fs.promises.appendFile(this.logPath(), log)
+    await this.commit({
+      ...this.manifest,
+      logBytes: this.manifest.logBytes + log.length,
+      embedding
+    })
+    this.deadRows += ids.length
+  }
+
+  shouldCompact(liveRows) {
+    return (
+      this.deadRows >= COMPACT_MIN_ROWS &&
+      this.deadRows > liveRows * COMPACT_RATIO
+    )
+  }
+
+  async commit(manifest) {
+    this.manifest = {
+      formatVersion: STORAGE_FORMAT_VERSION,
+      ...manifest,
+      savedAt: new Date().toISOString()
+    }
+    await writeAtomic(this.manifestPath, JSON.stringify(this.manifest, null, 2))
+  }
+
+  // Side files such as the HNSW graph live in the collection directory
+  async writeFile(name, data) {
+    await fs.promises.mkdir(this.dir, { recursive: true })
+    await writeAtomic(path.join(this.dir, name), data)
+  }
+
+  async readFile(name) {
+    const filePath = path.join(this.dir, name)
+    if (!fs.existsSync(filePath)) return null
+    return await fs.promises.readFile(filePath, 'utf8')
+  }
+}
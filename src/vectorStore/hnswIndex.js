@@ -0,0 +1,346 @@
+// Binary heap ordered by `compare`; the smallest element sits on top
+class Heap {
+  constructor(compare) {
+    this.compare = compare
+    this.items = []
+  }
+
+  get size() {
+    return this.items.length
+  }
+
+  peek() {
+    return this.items[0]
+  }
+
+  push(item) {
+    const items = this.items
+    items.push(item)
+    let i = items.length - 1
+    while (i > 0) {
+      const parent = (i - 1) >> 1
+      if (this.compare(items[i], items[parent]) >= 0) break
+      ;[items[i], items[parent]] = [items[parent], items[i]]
+      i = parent
+    }
+  }
+
+  pop() {
+    const items = this.items
+    const top = items[0]
+    const last = items.pop()
+    if (items.length === 0) return top
+
+    items[0] = last
+    let i = 0
+    for (;;) {
+      const left = 2 * i + 1
+      const right = left + 1
+      let smallest = i
+      if (left < items.length && this.compare(items[left], items[i]) < 0) {
+        smallest = left
+      }
+      if (
+        right < items.length &&
+        this.compare(items[right], items[smallest]) < 0
+      ) {
+        smallest = right
+      }
+      if (smallest === i) break
+      ;[items[i], items[smallest]] = [items[smallest], items[i]]
+      i = smallest
+    }
+    return top
+  }
+}
+
+function normalize(vector) {
+  let norm = 0
+  for (let i = 0; i < vector.length; i++) norm += vector[i] * vector[i]
+  norm = Math.sqrt(norm)
+
+  const result = new Float32Array(vector.length)
+  // A zero vector stays zero and is similar to nothing
+  if (norm === 0) return result
+  for (let i = 0; i < vector.length; i++) result[i] = vector[i] / norm
+  return result
+}
+
+function dot(a, b) {
+  let sum = 0
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i]
+  return sum
+}
+
+/**
+ * Hierarchical Navigable Small World graph for approximate cosine search.
+ * Nodes are keyed by document id and hold a normalized copy of the vector;
+ * only the graph is serialized, vectors are re-attached from the collection.
+ *
+ * m bounds the links per node, efConstruction the candidate list used while
+ * linking, and efSearch the candidate list at query time (higher values
+ * trade speed for recall).
+ *
+ * Removed nodes become tombstones: they still route searches but are never
+ * returned, and the graph is rebuilt from the live nodes once tombstones
+ * exceed `maxDeletedRatio` of it.
+ */
+export class HnswIndex {
+  constructor(options = {}) {
+    this.m = options.m || 16
+    this.efConstruction = options.efConstruction || 200
+    this.efSearch = options.efSearch || 50
+    this.maxDeletedRatio = options.maxDeletedRatio ?? 0.25
+    this.levelMultiplier = 1 / Math.log(this.m)
+    this.nodes = new Map()
+    this.deleted = new Set()
+    this.entryPoint = null
+    this.maxLevel = -1
+  }
+
+  get size() {
+    return this.nodes.size - this.deleted.size
+  }
+
+  getParams() {
+    return {
+      m: this.m,
+      efConstruction: this.efConstruction,
+      efSearch: this.efSearch
+    }
+  }
+
+  maxLinks(level) {
+    return level === 0 ? this.m * 2 : this.m
+  }
+
+  randomLevel() {
+    return Math.floor(-Math.log(1 - Math.random()) * this.levelMultiplier)
+  }
+
+  distance(vector, id) {
+    return 1 - dot(vector, this.nodes.get(id).vector)
+  }
+
+  add(id, vector) {
+    if (this.nodes.has(id)) {
+      this.replace(id, vector)
+      return
+    }
+
+    const node = {
+      vector: normalize(vector),
+      level: this.randomLevel(),
+      neighbors: []
+    }
+    for (let level = 0; level <= node.level; level++) node.neighbors.push([])
+    this.nodes.set(id, node)
+
+    if (this.entryPoint === null) {
+      this.entryPoint = id
+      this.maxLevel = node.level
+      return
+    }
+
+    this.connect(id, node)
+
+    if (node.level > this.maxLevel) {
+      this.entryPoint = id
+      this.maxLevel = node.level
+    }
+  }
+
+  // Links a node to its closest neighbors on each of its levels
+  connect(id, node) {
+    let current = this.entryPoint
+    for (let level = this.maxLevel; level > node.level; level--) {
+      current = this.searchLayer(node.vector, [current], 1, level, true)[0].id
+    }
+
+    let entries = [current]
+    for (let level = Math.min(node.level, this.maxLevel); level >= 0; level--) {
+      const candidates = this.searchLayer(
+        node.vector,
+        entries,
+        this.efConstruction,
+        level,
+        true
+      ).filter(candidate => candidate.id !== id)
+      node.neighbors[level] = this.selectNeighbors(candidates, this.m)
+
+      for (const neighborId of node.neighbors[level]) {
+        this.link(neighborId, id, level)
+      }
+      if (candidates.length > 0) {
+        entries = candidates.map(candidate => candidate.id)
+      }
+    }
+  }
+
+  // Adds a reverse link, pruning the neighbor's list when it overflows
+  link(fromId, toId, level) {
+    const from = this.nodes.get(fromId)
+    const links = from.neighbors[level]
+    if (links.includes(toId)) return
+    links.push(toId)
+
+    if (links.length > this.maxLinks(level)) {
+      const candidates = links
+        .map(id => ({ id, distance: this.distance(from.vector, id) }))
+        .sort((a, b) => a.distance - b.distance)
+      from.neighbors[level] = this.selectNeighbors(
+        candidates,
+        this.maxLinks(level)
+      )
+    }
+  }
+
+  // Keeps candidates closer to the base than to any already selected
+  // neighbor, which spreads links across clusters; `candidates` is sorted
+  selectNeighbors(candidates, count) {
+    const selected = []
+    const skipped = []
+
+    for (const candidate of candidates) {
+      if (selected.length >= count) break
+      const vector = this.nodes.get(candidate.id).vector
+      const diverse = selected.every(
+        id => 1 - dot(vector, this.nodes.get(id).vector) > candidate.distance
+      )
+      if (diverse) selected.push(candidate.id)
+      else skipped.push(candidate.id)
+    }
+
+    // Fill up with the closest skipped candidates to keep the graph connected
+    for (const id of skipped) {
+      if (selected.length >= count) break
+      selected.push(id)
+    }
+    return selected
+  }
+
+  // Tombstones are walked through but only returned with `withDeleted`,
+  // which linking uses so new nodes stay reachable from the entry point
+  searchLayer(vector, entryIds, ef, level, withDeleted = false) {
+    const visited = new Set(entryIds)
+    const candidates = new Heap((a, b) => a.distance - b.distance)
+    const results = new Heap((a, b) => b.distance - a.distance)
+    const returnable = id => withDeleted || !this.deleted.has(id)
+
+    for (const id of entryIds) {
+      const entry = { id, distance: this.distance(vector, id) }
+      candidates.push(entry)
+      if (returnable(id)) results.push(entry)
+    }
+
+    while (candidates.size > 0) {
+      const closest = candidates.pop()
+      if (results.size >= ef && closest.distance > results.peek().distance) {
+        break
+      }
+
+      const links = this.nodes.get(closest.id).neighbors[level] || []
+      for (const neighborId of links) {
+        if (visited.has(neighborId)) continue
+        visited.add(neighborId)
+
+        const distance = this.distance(vector, neighborId)
+        if (results.size < ef || distance < results.peek().distance) {
+          const neighbor = { id: neighborId, distance }
+          candidates.push(neighbor)
+          if (!returnable(neighborId)) continue
+          results.push(neighbor)
+          if (results.size > ef) results.pop()
+        }
+      }
+    }
+
+    return results.items.sort((a, b) => a.distance - b.distance)
+  }
+
+  // Returns up to k `{ id, score }` pairs, score being cosine similarity
+  search(vector, k, ef = this.efSearch) {
+    if (this.entryPoint === null) return []
+
+    const query = normalize(vector)
+    let current = this.entryPoint
+    for (let level = this.maxLevel; level > 0; level--) {
+      current = this.searchLayer(query, [current], 1, level, true)[0].id
+    }
+
+    return this.searchLayer(query, [current], Math.max(ef, k), 0)
+      .slice(0, k)
+      .map(({ id, distance }) => ({ id, score: 1 - distance }))
+  }
+
+  // Marks the nodes as deleted; rebuilding once tombstones pile up keeps
+  // removal cheap without letting them slow searches down
+  remove(ids) {
+    for (const id of ids) {
+      if (this.nodes.has(id)) this.deleted.add(id)
+    }
+
+    if (this.deleted.size === this.nodes.size) {
+      this.clear()
+    } else if (this.deleted.size > this.nodes.size * this.maxDeletedRatio) {
+      this.compact()
+    }
+  }
+
+  // Rebuilds the graph from the live nodes only
+  compact() {
+    const live = [...this.nodes].filter(([id]) => !this.deleted.has(id))
+    this.clear()
+    for (const [id, node] of live) this.add(id, node.vector)
+  }
+
+  // A re-added node is revived, and relinked if its vector changed
+  replace(id, vector) {
+    const node = this.nodes.get(id)
+    const normalized = normalize(vector)
+    this.deleted.delete(id)
+    if (normalized.every((value, i) => value === node.vector[i])) return
+
+    node.vector = normalized
+    if (this.nodes.size > 1) this.connect(id, node)
+  }
+
+  clear() {
+    this.nodes.clear()
+    this.deleted.clear()
+    this.entryPoint = null
+    this.maxLevel = -1
+  }
+
+  toJSON() {
+    return {
+      params: this.getParams(),
+      entryPoint: this.entryPoint,
+      maxLevel: this.maxLevel,
+      nodes: [...this.nodes].map(([id, node]) => [
+        id,
+        node.level,
+        node.neighbors
+      ]),
+      // The collection no longer holds the vectors of tombstones
+      deleted: [...this.deleted].map(id => [
+        id,
+        Array.from(this.nodes.get(id).vector)
+      ])
+    }
+  }
+
+  // Restores a serialized graph; `vectorOf(id)` supplies each stored vector
+  static fromJSON(data, vectorOf, options = {}) {
+    const index = new HnswIndex({ ...data.params, ...options })
+    const deleted = new Map(data.deleted || [])
+    for (const [id, level, neighbors] of data.nodes) {
+      const vector = deleted.get(id) || vectorOf(id)
+      index.nodes.set(id, { vector: normalize(vector), level, neighbors })
+    }
+    index.deleted = new Set(deleted.keys())
+    index.entryPoint = data.entryPoint
+    index.maxLevel = data.maxLevel
+    return index
+  }
+}
@@ -1,62 +1,247 @@
 import { MemoryVectorStore } from 'langchain/vectorstores/memory'
+import {
+  BaseVectorStore,
+  COLLECTION_SCHEMA_VERSION,
+  assignChunkIds
+} from './baseVectorStore.js'
+import { matchesDocument, matchesFilter } from './metadataFilter.js'
 
-export class MemoryStore {
+/**
+ * Vector store kept entirely in process memory on top of LangChain's
+ * MemoryVectorStore. Nothing is persisted; use exportData() to keep a copy.
+ */
+export class MemoryStore extends BaseVectorStore {
   get vectorStore() {
     return this._vectorStore
   }
 
-  constructor(embeddings) {
-    this.embeddings = embeddings
+  constructor(embeddingFunction, options = {}) {
+    super(embeddingFunction, options)
+    this.backend = 'memory'
     this._vectorStore = null
   }
 
   verifyInitialization() {
-    if (!this._vectorStore) throw new Error('Vector store not initialized.')
+    if (!this._vectorStore) {
+      throw new Error('MemoryStore not initialized. Call initialize() first.')
+    }
   }
 
-  async initialize(documents = []) {
-    console.log('Creating vector store')
+  async initialize(persistent = false, collectionName = null) {
+    if (collectionName) {
+      this.collectionName = collectionName
+    }
+    if (persistent) {
+      console.warn('MemoryStore cannot persist, starting in memory mode')
+    }
+
+    this._vectorStore = new MemoryVectorStore(this.embeddingFunction)
+    this.embeddingInfo = { ...this.configuredEmbedding, dimension: null }
+    console.log(
+      `MemoryStore initialized successfully with collection: ${this.collectionName}`
+    )
+    return this
+  }
+
+  async addDocuments(documents) {
+    this.verifyInitialization()
+
+    if (!documents || documents.length === 0) {
+      console.log('No documents to add')
+      return
+    }
+    this.assertEmbeddingCompatible()
+
     try {
-      this._vectorStore = await MemoryVectorStore.fromDocuments(
-        documents,
-        this.embeddings
+      console.log(`Adding ${documents.length} documents to MemoryStore`)
+      const embeddings = await this.generateEmbeddings(
+        documents.map(doc => doc.pageContent)
       )
-      console.log(`Vector store created with ${documents.length} documents`)
-      return this._vectorStore
+      this.assertDimension(embeddings)
+      const ids = assignChunkIds(documents)
+      this.removeVectors(ids)
+
+      await this._vectorStore.addVectors(
+        embeddings,
+        documents.map((doc, index) => ({
+          id: ids[index],
+          pageContent: doc.pageContent,
+          metadata: {
+            source: doc.metadata?.source || 'unknown',
+            ...doc.metadata
+          }
+        }))
+      )
+      console.log('Documents added successfully')
     } catch (error) {
-      console.error('Error creating vector store:', error.message)
+      console.error('Error adding documents to MemoryStore:', error.message)
       throw error
     }
   }
 
-  async addDocuments(documents) {
-    if (!this._vectorStore) throw new Error('Vector store not initialized.')
+  async searchWithScores(query, k = 4, filter = {}, whereDocument = {}) {
+    const results = await this.searchWithEmbeddings(
+      query,
+      k,
+      filter,
+      whereDocument
+    )
+    return results.map(([document, score]) => [document, score])
+  }
+
+  async searchWithEmbeddings(query, k = 4, filter = {}, whereDocument = {}) {
+    this.verifyInitialization()
+    this.assertEmbeddingCompatible()
+    this.assertValidFilters(filter, whereDocument)
+
     try {
-      console.log(`Adding ${documents.length} documents to vector store`)
-      await this._vectorStore.addDocuments(documents)
-      console.log('Documents added successfully')
+      if (this.isEmpty()) return []
+
+      const queryEmbedding = await this.embeddingFunction.embedQuery(query)
+      this.assertDimension([queryEmbedding])
+
+      // Ranked here rather than by MemoryVectorStore, whose sort does not
+      // order ties reliably and whose results omit the stored vectors
+      return this._vectorStore.memoryVectors
+        .filter(
+          vector =>
+            matchesFilter(vector.metadata, filter) &&
+            matchesDocument(vector.content, whereDocument)
+        )
+        .map(vector => [
+          {
+            id: vector.id,
+            pageContent: vector.content,
+            metadata: vector.metadata
+          },
+          this._vectorStore.similarity(queryEmbedding, vector.embedding),
+          vector.embedding
+        ])
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, k)
+    } catch (error) {
+      console.error('Error performing search with scores:', error.message)
+      throw error
+    }
+  }
+
+  async getDocuments(filter = {}) {
+    this.verifyInitialization()
+    this.assertValidFilters(filter)
+    return this._vectorStore.memoryVectors
+      .filter(vector => matchesFilter(vector.metadata, filter))
+      .map(vector => ({
+        id: vector.id,
+        pageContent: vector.content,
+        metadata: vector.metadata
+      }))
+  }
+
+  async deleteDocuments(ids) {
+    this.verifyInitialization()
+    console.log(`Deleted ${this.removeVectors(ids)} documents`)
+  }
+
+  // Drops the vectors with these IDs; returns how many were removed
+  removeVectors(ids) {
+    const before = this._vectorStore.memoryVectors.length
+    const removed = new Set(ids)
+    this._vectorStore.memoryVectors = this._vectorStore.memoryVectors.filter(
+      vector => !removed.has(vector.id)
+    )
+    return before - this._vectorStore.memoryVectors.length
+  }
+
+  async getDocumentCount() {
+    this.verifyInitialization()
+    return this._vectorStore.memoryVectors.length
+  }
+
+  async exportData() {
+    this.verifyInitialization()
+    const vectors = this._vectorStore.memoryVectors
+
+    return {
+      schemaVersion: COLLECTION_SCHEMA_VERSION,
+      collectionName: this.collectionName,
+      embedding: { ...this.embeddingInfo },
+      data: {
+        ids: vectors.map(vector => vector.id),
+        documents: vectors.map(vector => vector.content),
+        embeddings: vectors.map(vector => vector.embedding),
+        metadatas: vectors.map(vector => vector.metadata)
+      },
+      exportedAt: new Date().toISOString()
+    }
+  }
+
+  async importData(data) {
+    this.verifyInitialization()
+
+    try {
+      const { ids = [], documents, embeddings, metadatas } = data.data || {}
+      if (ids.length === 0) return
+
+      this.checkImportedEmbedding(data.embedding)
+      this.assertDimension(embeddings)
+      this.removeVectors(ids)
+
+      await this._vectorStore.addVectors(
+        embeddings,
+        ids.map((id, index) => ({
+          id,
+          pageContent: documents[index],
+          metadata: metadatas[index]
+        }))
+      )
+      console.log(`Imported ${ids.length} documents`)
     } catch (error) {
-      console.error('Error adding documents to vector store:', error.message)
+      console.error('Error importing data:', error.message)
       throw error
     }
   }
 
-  async similaritySearch(query, k = 4) {
+  async reembedCollection(options = {}) {
     this.verifyInitialization()
+    const { batchSize = 64 } = options
+    const vectors = this._vectorStore.memoryVectors
+
     try {
-      return await this._vectorStore.similaritySearch(query, k)
+      const previous = { ...this.embeddingInfo }
+      const embeddings = []
+      for (let i = 0; i < vectors.length; i += batchSize) {
+        const batch = vectors.slice(i, i + batchSize)
+        embeddings.push(
+          ...(await this.generateEmbeddings(batch.map(v => v.content)))
+        )
+      }
+
+      const dimension = this.assertUniformDimension(embeddings)
+      vectors.forEach((vector, index) => {
+        vector.embedding = embeddings[index]
+      })
+      this.embeddingInfo = { ...this.configuredEmbedding, dimension }
+
+      console.log(`Re-embedded ${embeddings.length} documents`)
+      return {
+        reembedded: embeddings.length,
+        previous,
+        embedding: { ...this.embeddingInfo }
+      }
     } catch (error) {
-      console.error('Error performing similarity search:', error.message)
+      console.error('Error re-embedding collection:', error.message)
       throw error
     }
   }
 
-  getRetriever(options = {}) {
+  async clearCollection() {
     this.verifyInitialization()
-    const defaultOptions = { k: 4, searchType: 'similarity' }
-    return this._vectorStore.asRetriever({
-      ...defaultOptions,
-      ...options
-    })
+    this._vectorStore.memoryVectors = []
+    this.embeddingInfo = { ...this.configuredEmbedding, dimension: null }
+    console.log(`Collection ${this.collectionName} cleared`)
+  }
+
+  isEmpty() {
+    return !this._vectorStore || this._vectorStore.memoryVectors.length === 0
   }
 }
@@ -0,0 +1,279 @@
+// Chroma-style filters evaluated in process:
+//
+//   { source: 'guide.md' }                            equality
+//   { version: { $in: ['2.0', '2.1'] } }              $eq $ne $in $nin
+//   { updated: { $gte: '2024-01-01' } }               $gt $gte $lt $lte
+//   { source: { $prefix: 'player/' } }                string prefix
+//   { $or: [{ area: 'sdk' }, { area: 'api' }] }       $and $or
+//
+// Keys may use dots to reach nested metadata (`loc.lines.from`). Comparisons
+// work on numbers and dates; ISO date strings are compared as dates. Sources
+// are stored as absolute paths; resolveSourceFilter lets callers write them
+// relative to the data directory.
+//
+// Document filters match the chunk text:
+//
+//   { $contains: 'PLAYER_READY' }, { $not_contains: 'deprecated' }, $and, $or
+
+import path from 'path'
+
+export class InvalidFilterError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'InvalidFilterError'
+  }
+}
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}([T ][\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/
+
+const COMPARISONS = {
+  $gt: order => order > 0,
+  $gte: order => order >= 0,
+  $lt: order => order < 0,
+  $lte: order => order <= 0
+}
+
+const FIELD_OPERATORS = [
+  '$eq',
+  '$ne',
+  '$in',
+  '$nin',
+  '$prefix',
+  ...Object.keys(COMPARISONS)
+]
+const DOCUMENT_OPERATORS = ['$contains', '$not_contains', '$and', '$or']
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+function isEmpty(filter) {
+  return !filter || Object.keys(filter).length === 0
+}
+
+function getValue(metadata, key) {
+  if (key in metadata) return metadata[key]
+  return key
+    .split('.')
+    .reduce(
+      (value, part) => (isPlainObject(value) ? value[part] : undefined),
+      metadata
+    )
+}
+
+function toComparable(value) {
+  if (typeof value === 'number') return value
+  if (value instanceof Date) return value.getTime()
+  if (typeof value === 'string' && ISO_DATE.test(value)) {
+    const time = Date.parse(value)
+    if (!Number.isNaN(time)) return time
+  }
+  return null
+}
+
+// Returns the ordering of value against operand, or null when incomparable
+function compare(value, operand) {
+  const a = toComparable(value)
+  const b = toComparable(operand)
+  if (a !== null && b !== null) return a - b
+  if (typeof value === 'string' && typeof operand === 'string') {
+    return value < operand ? -1 : value > operand ? 1 : 0
+  }
+  return null
+}
+
+function equals(value, operand) {
+  if (operand instanceof Date) return compare(value, operand) === 0
+  return value === operand
+}
+
+function matchesCondition(value, condition) {
+  if (!isPlainObject(condition) || condition instanceof Date) {
+    return equals(value, condition)
+  }
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case '$eq':
+        return equals(value, operand)
+      case '$ne':
+        return !equals(value, operand)
+      case '$in':
+        return operand.some(item => equals(value, item))
+      case '$nin':
+        return !operand.some(item => equals(value, item))
+      case '$prefix':
+        return typeof value === 'string' && value.startsWith(operand)
+      default: {
+        const order = compare(value, operand)
+        return order !== null && COMPARISONS[operator](order)
+      }
+    }
+  })
+}
+
+export function matchesFilter(metadata = {}, filter = {}) {
+  if (isEmpty(filter)) return true
+
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$and') {
+      return condition.every(part => matchesFilter(metadata, part))
+    }
+    if (key === '$or') {
+      return condition.some(part => matchesFilter(metadata, part))
+    }
+    return matchesCondition(getValue(metadata || {}, key), condition)
+  })
+}
+
+export function matchesDocument(text = '', whereDocument = {}) {
+  if (isEmpty(whereDocument)) return true
+
+  return Object.entries(whereDocument).every(([operator, operand]) => {
+    switch (operator) {
+      case '$contains':
+        return text.includes(operand)
+      case '$not_contains':
+        return !text.includes(operand)
+      case '$and':
+        return operand.every(part => matchesDocument(text, part))
+      default:
+        return operand.some(part => matchesDocument(text, part))
+    }
+  })
+}
+
+const SOURCE_OPERATORS = ['$eq', '$ne', '$in', '$nin', '$prefix']
+
+// A relative source becomes an absolute path under `root`; a prefix keeps its
+// trailing separator so `player/` does not also match `player-old/`
+function resolveSource(value, root) {
+  if (typeof value !== 'string' || path.isAbsolute(value)) return value
+  const resolved = path.resolve(root, value)
+  return /[\\/]$/.test(value) ? resolved + path.sep : resolved
+}
+
+function resolveSourceCondition(condition, root) {
+  if (!isPlainObject(condition) || condition instanceof Date) {
+    return resolveSource(condition, root)
+  }
+
+  return Object.fromEntries(
+    Object.entries(condition).map(([operator, operand]) => {
+      if (!SOURCE_OPERATORS.includes(operator)) return [operator, operand]
+      return [
+        operator,
+        Array.isArray(operand)
+          ? operand.map(item => resolveSource(item, root))
+          : resolveSource(operand, root)
+      ]
+    })
+  )
+}
+
+// Rewrites relative `source` values, including those in $and/$or, against
+// the data directory the sources were indexed from
+export function resolveSourceFilter(filter, root) {
+  if (!isPlainObject(filter)) return filter
+
+  return Object.fromEntries(
+    Object.entries(filter).map(([key, condition]) => {
+      if ((key === '$and' || key === '$or') && Array.isArray(condition)) {
+        return [key, condition.map(part => resolveSourceFilter(part, root))]
+      }
+      if (key !== 'source') return [key, condition]
+      return [key, resolveSourceCondition(condition, root)]
+    })
+  )
+}
+
+function validateLogical(operator, operand, validate, path) {
+  if (!Array.isArray(operand) || operand.length === 0) {
+    throw new InvalidFilterError(
+      `${path}${operator} must be a non-empty array of filters`
+    )
+  }
+  operand.forEach((part, index) =>
+    validate(part, `${path}${operator}[${index}].`)
+  )
+}
+
+// Throws InvalidFilterError for unknown operators or malformed operands
+export function validateFilter(filter, path = '') {
+  if (filter === undefined || filter === null) return
+  if (!isPlainObject(filter)) {
+    throw new InvalidFilterError(`${path || 'filter'} must be an object`)
+  }
+
+  for (const [key, condition] of Object.entries(filter)) {
+    if (key === '$and' || key === '$or') {
+      validateLogical(key, condition, validateFilter, path)
+      continue
+    }
+    if (key.startsWith('$')) {
+      throw new InvalidFilterError(`Unknown filter operator ${path}${key}`)
+    }
+    if (!isPlainObject(condition) || condition instanceof Date) continue
+
+    for (const [operator, operand] of Object.entries(condition)) {
+      if (!FIELD_OPERATORS.includes(operator)) {
+        throw new InvalidFilterError(
+          `Unknown operator ${operator} for ${path}${key}`
+        )
+      }
+      if (
+        (operator === '$in' || operator === '$nin') &&
+        !Array.isArray(operand)
+      ) {
+        throw new InvalidFilterError(
+          `${path}${key}.${operator} must be an array`
+        )
+      }
+      if (operator === '$prefix' && typeof operand !== 'string') {
+        throw new InvalidFilterError(`${path}${key}.$prefix must be a string`)
+      }
+    }
+  }
+}
+
+export function validateDocumentFilter(whereDocument, path = '') {
+  if (whereDocument === undefined || whereDocument === null) return
+  if (!isPlainObject(whereDocument)) {
+    throw new InvalidFilterError(`${path || 'whereDocument'} must be an object`)
+  }
+
+  for (const [operator, operand] of Object.entries(whereDocument)) {
+    if (!DOCUMENT_OPERATORS.includes(operator)) {
+      throw new InvalidFilterError(
+        `Unknown document operator ${path}${operator}`
+      )
+    }
+    if (operator === '$and' || operator === '$or') {
+      validateLogical(operator, operand, validateDocumentFilter, path)
+    } else if (typeof operand !== 'string') {
+      throw new InvalidFilterError(`${path}${operator} must be a string`)
+    }
+  }
+}
+
+// Chroma evaluates equality, $in/$nin and numeric comparisons itself;
+// prefixes, dates and nested keys have to be checked client-side
+export function isChromaNativeFilter(filter = {}) {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$and' || key === '$or') {
+      return condition.every(part => isChromaNativeFilter(part))
+    }
+    if (key.includes('.')) return false
+    if (!isPlainObject(condition)) return !(condition instanceof Date)
+
+    return Object.entries(condition).every(([operator, operand]) => {
+      if (operator === '$prefix') return false
+      if (operator in COMPARISONS) return typeof operand === 'number'
+      return !(operand instanceof Date)
+    })
+  })
+}
+
+export function hasFilter(filter) {
+  return !isEmpty(filter)
+}
@@ -0,0 +1,49 @@
+function cosine(a, b) {
+  let dot = 0
+  let normA = 0
+  let normB = 0
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i]
+    normA += a[i] * a[i]
+    normB += b[i] * b[i]
+  }
+  if (normA === 0 || normB === 0) return 0
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB))
+}
+
+/**
+ * Maximal marginal relevance: picks k of the candidates one at a time,
+ * trading relevance to the query (`score`) against similarity to the ones
+ * already picked. lambda 1 is plain similarity ranking, lambda 0 maximal
+ * diversity. Candidates are `{ embedding, score }`; returns their indexes in
+ * selection order.
+ */
+export function maximalMarginalRelevance(candidates, k, lambda = 0.5) {
+  const selected = []
+  // Highest similarity of each candidate to anything selected so far
+  const redundancy = new Array(candidates.length).fill(-Infinity)
+  const remaining = new Set(candidates.map((_, index) => index))
+
+  while (selected.length < k && remaining.size > 0) {
+    let best = -1
+    let bestValue = -Infinity
+    for (const index of remaining) {
+      const penalty = selected.length === 0 ? 0 : redundancy[index]
+      const value = lambda * candidates[index].score - (1 - lambda) * penalty
+      if (value > bestValue) {
+        best = index
+        bestValue = value
+      }
+    }
+
+    selected.push(best)
+    remaining.delete(best)
+    for (const index of remaining) {
+      redundancy[index] = Math.max(
+        redundancy[index],
+        cosine(candidates[index].embedding, candidates[best].embedding)
+      )
+    }
+  }
+  return selected
+}
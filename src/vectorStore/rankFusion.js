@@ -0,0 +1,61 @@
+export const FUSION_METHODS = ['rrf', 'weighted']
+
+// Rankings come from different searches, so chunks are matched by their
+// ID, or by content for backends that return none
+function documentKey(document) {
+  return (
+    document.id ?? `${document.metadata?.source}\u0000${document.pageContent}`
+  )
+}
+
+// Min-max scaling to [0, 1]; a list of equal scores maps to 1
+function normalize(scores) {
+  const min = Math.min(...scores)
+  const range = Math.max(...scores) - min
+  return scores.map(score => (range === 0 ? 1 : (score - min) / range))
+}
+
+export function validateFusion(options = {}) {
+  const { fusion = 'rrf', alpha = 0.5 } = options
+  if (!FUSION_METHODS.includes(fusion)) {
+    throw new Error(
+      `Unknown fusion method: ${fusion}. Available: ${FUSION_METHODS.join(', ')}`
+    )
+  }
+  if (typeof alpha !== 'number' || alpha < 0 || alpha > 1) {
+    throw new Error(`Fusion alpha must be between 0 and 1, got ${alpha}`)
+  }
+}
+
+/**
+ * Merges vector and lexical rankings of `[document, score]` pairs into one
+ * list ordered by the fused score. `rrf` (reciprocal rank fusion) only uses
+ * positions, so cosine and BM25 scores need no calibration; `weighted`
+ * normalizes each list and mixes the scores. `alpha` is the weight of the
+ * vector ranking in both methods.
+ */
+export function fuseRankings(vectorResults, lexicalResults, options = {}) {
+  validateFusion(options)
+  const { fusion = 'rrf', alpha = 0.5, rrfK = 60 } = options
+  const fused = new Map()
+
+  const addRanking = (results, weight) => {
+    const scores =
+      fusion === 'weighted' ? normalize(results.map(([, score]) => score)) : []
+
+    results.forEach(([document], rank) => {
+      const key = documentKey(document)
+      const entry = fused.get(key) || { document, score: 0 }
+      entry.score +=
+        weight * (fusion === 'weighted' ? scores[rank] : 1 / (rrfK + rank + 1))
+      fused.set(key, entry)
+    })
+  }
+
+  addRanking(vectorResults, alpha)
+  addRanking(lexicalResults, 1 - alpha)
+
+  return [...fused.values()]
+    .sort((a, b) => b.score - a.score)
+    .map(({ document, score }) => [document, score])
+}
@@ -0,0 +1,410 @@
+import assert from 'assert/strict'
+import path from 'path'
+import { assignChunkIds } from './baseVectorStore.js'
+import { resolveSourceFilter } from './metadataFilter.js'
+
+const DOCUMENTS = [
+  {
+    pageContent: 'The player emits PLAYER_READY once the media is loaded.',
+    metadata: {
+      source: 'docs/events.md',
+      section: 'events',
+      order: 1,
+      updated: '2024-03-01'
+    }
+  },
+  {
+    pageContent: 'Install the SDK with npm install media-sdk and import it.',
+    metadata: {
+      source: 'docs/install.md',
+      section: 'setup',
+      order: 2,
+      updated: '2023-11-15'
+    }
+  },
+  {
+    pageContent: 'Call player.off(event) to remove a listener from the player.',
+    metadata: {
+      source: 'docs/events.md',
+      section: 'listeners',
+      order: 3,
+      updated: '2024-06-20'
+    }
+  }
+]
+
+/**
+ * Checks that a vector store backend honours the BaseVectorStore contract.
+ * `createStore` must return a new, uninitialized store for the same
+ * collection on every call so persistence can be verified across instances.
+ * Deterministic embeddings (EMBEDDING_PROVIDER=hash) keep the ranking
+ * assertions stable.
+ */
+export async function runStoreConformance(createStore, options = {}) {
+  const { persistent = false } = options
+  const results = []
+  let store = null
+
+  const check = async (name, fn) => {
+    try {
+      await fn()
+      results.push({ name, passed: true })
+    } catch (error) {
+      results.push({ name, passed: false, error: error.message })
+    }
+  }
+
+  await check('initialize starts an empty collection', async () => {
+    store = createStore()
+    assert.equal(await store.initialize(persistent), store)
+    await store.clearCollection()
+    assert.equal(await store.getDocumentCount(), 0)
+    assert.deepEqual(await store.similaritySearch('player', 2), [])
+    assert.ok(store.backend, 'store.backend must name the backend')
+  })
+
+  await check('addDocuments stores every document', async () => {
+    await store.addDocuments(DOCUMENTS)
+    await store.addDocuments([])
+    assert.equal(await store.getDocumentCount(), DOCUMENTS.length)
+    assert.equal(store.getEmbeddingInfo().dimension > 0, true)
+  })
+
+  const sortedIds = records => records.map(({ id }) => id).sort()
+  await check('addDocuments upserts content-addressed ids', async () => {
+    const ids = assignChunkIds(DOCUMENTS)
+    assert.deepEqual(sortedIds(await store.getDocuments()), [...ids].sort())
+    await store.addDocuments(DOCUMENTS)
+    assert.equal(await store.getDocumentCount(), DOCUMENTS.length)
+    assert.deepEqual(sortedIds(await store.getDocuments()), [...ids].sort())
+
+    const [[top]] = await store.searchWithScores(DOCUMENTS[1].pageContent, 1)
+    assert.equal(top.id, ids[1])
+  })
+
+  await check('similaritySearch ranks the closest document first', async () => {
+    const results = await store.similaritySearch(DOCUMENTS[1].pageContent, 2)
+    assert.equal(results.length, 2)
+    assert.equal(results[0].pageContent, DOCUMENTS[1].pageContent)
+    assert.deepEqual(results[0].metadata, DOCUMENTS[1].metadata)
+  })
+
+  await check('searchWithScores returns descending scores', async () => {
+    const results = await store.searchWithScores(DOCUMENTS[0].pageContent, 3)
+    assert.equal(results.length, 3)
+    const scores = results.map(([, score]) => score)
+    assert.ok(scores.every(score => typeof score === 'number'))
+    assert.deepEqual(
+      scores,
+      [...scores].sort((a, b) => b - a)
+    )
+    assert.ok(Math.abs(scores[0] - 1) < 1e-6, 'identical text scores 1')
+  })
+
+  await check('filters restrict search and listing', async () => {
+    const results = await store.similaritySearch('player', 3, {
+      source: 'docs/events.md'
+    })
+    assert.equal(results.length, 2)
+    assert.ok(results.every(doc => doc.metadata.source === 'docs/events.md'))
+
+    const narrowed = await store.searchWithScores('player', 3, {
+      source: 'docs/events.md',
+      section: 'listeners'
+    })
+    assert.equal(narrowed.length, 1)
+
+    const records = await store.getDocuments({ section: 'setup' })
+    assert.equal(records.length, 1)
+    assert.ok(records[0].id, 'records carry an id')
+  })
+
+  await check('filter operators and document filters', async () => {
+    const count = async (filter, whereDocument) =>
+      (await store.similaritySearch('player', 3, filter, whereDocument)).length
+
+    assert.equal(await count({ source: { $prefix: 'docs/ev' } }), 2)
+    assert.equal(await count({ section: { $in: ['setup', 'events'] } }), 2)
+    assert.equal(await count({ section: { $nin: ['setup'] } }), 2)
+    assert.equal(await count({ section: { $ne: 'setup' } }), 2)
+    assert.equal(await count({ order: { $gte: 2 } }), 2)
+    assert.equal(await count({ updated: { $lt: '2024-01-01' } }), 1)
+    assert.equal(
+      await count({ $or: [{ section: 'setup' }, { order: { $gt: 2 } }] }),
+      2
+    )
+    assert.equal(
+      await count({
+        $and: [{ source: 'docs/events.md' }, { order: { $lte: 1 } }]
+      }),
+      1
+    )
+    assert.equal(await count({}, { $contains: 'npm' }), 1)
+    assert.equal(await count({}, { $not_contains: 'player' }), 1)
+    assert.equal(
+      await count({ source: 'docs/events.md' }, { $contains: 'listener' }),
+      1
+    )
+
+    const records = await store.getDocuments({
+      updated: { $gte: '2024-01-01' }
+    })
+    assert.equal(records.length, 2)
+    await assert.rejects(
+      store.similaritySearch('player', 3, { section: { $like: 'set%' } }),
+      { name: 'InvalidFilterError' }
+    )
+  })
+
+  await check(
+    'lexicalSearch and hybridSearch match exact identifiers',
+    async () => {
+      const [[top, score]] = await store.lexicalSearch('PLAYER_READY', 1)
+      assert.equal(top.pageContent, DOCUMENTS[0].pageContent)
+      assert.ok(score > 0)
+
+      const filtered = await store.lexicalSearch('player', 3, {
+        section: 'listeners'
+      })
+      assert.equal(filtered.length, 1)
+      assert.deepEqual(await store.lexicalSearch('nonexistentterm', 3), [])
+
+      const fused = await store.hybridSearch('PLAYER_READY', 3)
+      assert.equal(fused.length, 3)
+      const [[keywordFirst]] = await store.hybridSearch(
+        'PLAYER_READY',
+        1,
+        {},
+        {},
+        { alpha: 0.2 }
+      )
+      assert.equal(keywordFirst.pageContent, DOCUMENTS[0].pageContent)
+
+      const weighted = await store.hybridSearch(
+        DOCUMENTS[1].pageContent,
+        2,
+        { order: { $gt: 1 } },
+        {},
+        { fusion: 'weighted' }
+      )
+      assert.equal(weighted[0][0].pageContent, DOCUMENTS[1].pageContent)
+      assert.ok(weighted.every(([doc]) => doc.metadata.order > 1))
+
+      const retriever = store.getRetriever({ k: 1, searchType: 'hybrid' })
+      const [document] = await retriever.invoke(DOCUMENTS[2].pageContent)
+      assert.equal(document.pageContent, DOCUMENTS[2].pageContent)
+    }
+  )
+
+  await check('mmr and score threshold search types', async () => {
+    const query = DOCUMENTS[0].pageContent
+    const scored = await store.searchWithScores(query, 3)
+    const withEmbeddings = await store.searchWithEmbeddings(query, 3)
+    assert.deepEqual(
+      withEmbeddings.map(([doc, score]) => [doc, score]),
+      scored
+    )
+    for (const [, , embedding] of withEmbeddings) {
+      assert.equal(embedding.length, store.getEmbeddingInfo().dimension)
+    }
+
+    // lambda 1 ignores diversity and keeps the similarity order
+    const relevanceOnly = await store.searchByType(query, {
+      k: 3,
+      searchType: 'mmr',
+      lambda: 1
+    })
+    assert.deepEqual(relevanceOnly, scored)
+
+    const diverse = await store.maxMarginalRelevanceSearch(
+      query,
+      2,
+      {},
+      {},
+      { fetchK: 3, lambda: 0.3 }
+    )
+    assert.equal(diverse.length, 2)
+    assert.equal(diverse[0][0].pageContent, DOCUMENTS[0].pageContent)
+    assert.notEqual(diverse[1][0].pageContent, DOCUMENTS[0].pageContent)
+    const filtered = await store.maxMarginalRelevanceSearch(query, 3, {
+      section: 'setup'
+    })
+    assert.deepEqual(
+      filtered.map(([doc]) => doc.pageContent),
+      [DOCUMENTS[1].pageContent]
+    )
+
+    const [, topScore] = scored[0]
+    const close = await store.searchByType(query, {
+      k: 3,
+      searchType: 'similarity_score_threshold',
+      scoreThreshold: topScore
+    })
+    assert.equal(close.length, 1)
+    assert.deepEqual(close[0], scored[0])
+
+    const retriever = store.getRetriever({ k: 2, searchType: 'mmr' })
+    const documents = await retriever.invoke(query)
+    assert.equal(documents.length, 2)
+    assert.throws(() =>
+      store.getRetriever({ searchType: 'similarity_score_threshold' })
+    )
+  })
+
+  await check('listSources counts chunks per source', async () => {
+    assert.deepEqual(await store.listSources(), [
+      { source: 'docs/events.md', chunks: 2 },
+      { source: 'docs/install.md', chunks: 1 }
+    ])
+  })
+
+  await check('getRetriever returns LangChain documents', async () => {
+    const retriever = store.getRetriever({ k: 1 })
+    const documents = await retriever.invoke(DOCUMENTS[2].pageContent)
+    assert.equal(documents.length, 1)
+    assert.equal(documents[0].pageContent, DOCUMENTS[2].pageContent)
+  })
+
+  let exported = null
+  await check('exportData and importData round-trip', async () => {
+    exported = await store.exportData()
+    assert.equal(exported.collectionName, store.collectionName)
+    assert.equal(exported.data.ids.length, DOCUMENTS.length)
+    assert.equal(
+      exported.embedding.dimension,
+      store.getEmbeddingInfo().dimension
+    )
+
+    await store.clearCollection()
+    assert.equal(await store.getDocumentCount(), 0)
+    await store.importData(exported)
+    await store.importData(exported)
+    assert.equal(await store.getDocumentCount(), DOCUMENTS.length)
+
+    const [top] = await store.similaritySearch(DOCUMENTS[1].pageContent, 1)
+    assert.deepEqual(top.metadata, DOCUMENTS[1].metadata)
+  })
+
+  await check('deleteDocuments removes records by id', async () => {
+    const [record] = await store.getDocuments({ source: 'docs/install.md' })
+    await store.deleteDocuments([record.id])
+    assert.equal(await store.getDocumentCount(), DOCUMENTS.length - 1)
+    assert.deepEqual(
+      await store.getDocuments({ source: 'docs/install.md' }),
+      []
+    )
+  })
+
+  await check('search skips deleted documents', async () => {
+    const extra = Array.from({ length: 40 }, (_, i) => ({
+      pageContent: `Release note ${i}: build ${i * 7} changes module m${i}.`,
+      metadata: { source: `notes/${i}.md` }
+    }))
+    await store.addDocuments(extra)
+    const removed = extra.filter((_, i) => i % 2 === 0)
+    for (const { metadata } of removed) {
+      await store.deleteBySource(metadata.source)
+    }
+    const kept = extra.filter((_, i) => i % 2 === 1)
+
+    const deleted = new Set(removed.map(doc => doc.pageContent))
+    for (const doc of [...removed, ...kept]) {
+      const results = await store.similaritySearch(doc.pageContent, 5)
+      assert.ok(results.every(result => !deleted.has(result.pageContent)))
+    }
+    for (const doc of kept) {
+      const [top] = await store.similaritySearch(doc.pageContent, 1)
+      assert.equal(top.pageContent, doc.pageContent)
+    }
+
+    for (const { metadata } of kept) {
+      await store.deleteBySource(metadata.source)
+    }
+    assert.equal(await store.getDocumentCount(), DOCUMENTS.length - 1)
+  })
+
+  await check('getDocumentsBySource and deleteBySource', async () => {
+    const source = 'docs/events.md'
+    const chunks = await store.getDocumentsBySource(source)
+    assert.deepEqual(
+      chunks.map(chunk => chunk.pageContent).sort(),
+      [DOCUMENTS[0].pageContent, DOCUMENTS[2].pageContent].sort()
+    )
+    assert.equal(await store.deleteBySource(source), 2)
+    assert.equal(await store.deleteBySource(source), 0)
+    assert.deepEqual(await store.getDocumentsBySource(source), [])
+
+    // Re-adding the file restores the same ids
+    await store.addDocuments([DOCUMENTS[0], DOCUMENTS[2]])
+    assert.deepEqual(
+      sortedIds(await store.getDocumentsBySource(source)),
+      sortedIds(chunks)
+    )
+    assert.equal(await store.getDocumentCount(), DOCUMENTS.length - 1)
+  })
+
+  await check('relative source filters match absolute sources', async () => {
+    // Sources are indexed as absolute paths under the data directory
+    const dataPath = path.resolve('conformance-data')
+    const indexed = [
+      ['player/events.md', 'Player events fire on the player.'],
+      ['player-old/events.md', 'Legacy player events.'],
+      ['sdk/install.md', 'Install the player SDK.']
+    ].map(([file, pageContent]) => ({
+      pageContent,
+      metadata: { source: path.join(dataPath, file) }
+    }))
+    await store.addDocuments(indexed)
+
+    const sources = async filter =>
+      (
+        await store.similaritySearch(
+          'player',
+          5,
+          resolveSourceFilter(filter, dataPath)
+        )
+      ).map(doc => path.relative(dataPath, doc.metadata.source))
+    // The README example
+    assert.deepEqual(await sources({ source: { $prefix: 'player/' } }), [
+      path.join('player', 'events.md')
+    ])
+    assert.deepEqual(await sources({ source: 'sdk/install.md' }), [
+      path.join('sdk', 'install.md')
+    ])
+    assert.equal(
+      (await sources({ $or: [{ source: { $in: ['sdk/install.md'] } }] }))
+        .length,
+      1
+    )
+
+    for (const { metadata } of indexed) {
+      await store.deleteBySource(metadata.source)
+    }
+    assert.equal(await store.getDocumentCount(), DOCUMENTS.length - 1)
+  })
+
+  if (persistent) {
+    await check('collection persists across instances', async () => {
+      await store.close()
+      store = createStore()
+      await store.initialize(true)
+      assert.equal(await store.getDocumentCount(), DOCUMENTS.length - 1)
+      assert.equal(store.getEmbeddingInfo().compatible, true)
+      const [top] = await store.similaritySearch(DOCUMENTS[0].pageContent, 1)
+      assert.equal(top.pageContent, DOCUMENTS[0].pageContent)
+    })
+  }
+
+  await check('clearCollection empties the collection', async () => {
+    await store.clearCollection()
+    assert.equal(await store.getDocumentCount(), 0)
+    assert.deepEqual(await store.listSources(), [])
+  })
+
+  await store?.close()
+  return {
+    passed: results.filter(result => result.passed).length,
+    failed: results.filter(result => !result.passed).length,
+    results
+  }
+}
@@ -0,0 +1,46 @@
+import { ChromaStore } from './chromaStore.js'
+import { ChromaServerStore } from './chromaServerStore.js'
+import { MemoryStore } from './memoryStore.js'
+
+const backends = new Map()
+
+export function registerVectorStore(name, factory) {
+  if (typeof factory !== 'function') {
+    throw new Error(`Vector store "${name}" must be registered with a factory`)
+  }
+  backends.set(name.toLowerCase(), factory)
+}
+
+export function getVectorStores() {
+  return [...backends.keys()]
+}
+
+export function resolveVectorStoreBackend(backend) {
+  return (backend || process.env.VECTOR_STORE || 'file').toLowerCase()
+}
+
+export function createVectorStore(embeddingFunction, options = {}) {
+  const backend = resolveVectorStoreBackend(options.backend)
+  const factory = backends.get(backend)
+
+  if (!factory) {
+    throw new Error(
+      `Unknown vector store "${backend}". Available: ${getVectorStores().join(', ')}`
+    )
+  }
+  return factory(embeddingFunction, options)
+}
+
+registerVectorStore(
+  'file',
+  (embeddingFunction, options) => new ChromaStore(embeddingFunction, options)
+)
+registerVectorStore(
+  'chroma-server',
+  (embeddingFunction, options) =>
+    new ChromaServerStore(embeddingFunction, options)
+)
+registerVectorStore(
+  'memory',
+  (embeddingFunction, options) => new MemoryStore(embeddingFunction, options)
+)